@@ -0,0 +1,347 @@
+var path = require("path");
+var fs = require("fs");
+var zlib = require("zlib");
+var assert = require("assert");
+var random = require("random-js")();
+var LRU = require("lru-cache");
+var sizeof = require("object-sizeof");
+
+var utils = require("./utils");
+
+/**
+ * Storages (backends) to persist cache entries.
+ * Each storage implements:
+ *  - get(key): returns a value or null
+ *  - set(key, value, callback): saves a value, possibly asynchronously,
+ *      callback, if any, receives the number of written bytes
+ *  - has(key): checks if there is a value for the key
+ *  - delete(key): removes a value
+ *  - list(): returns all saved keys
+ * Storages that keep entries in a directory also have dir property.
+ */
+
+function meteorLocalDir() {
+  var cwdDir = process.cwd();
+  return cwdDir ? path.join(cwdDir, ".meteor", "local") : __dirname;
+}
+
+function ensureCacheDir(cacheDir) {
+  cacheDir = path.resolve(
+    cacheDir ||
+    process.env.TYPESCRIPT_CACHE_DIR ||
+    path.join(meteorLocalDir(), ".typescript-cache")
+  );
+
+  try {
+    utils.mkdirp(cacheDir);
+  } catch (error) {
+    if (error.code !== "EEXIST") {
+      throw error;
+    }
+  }
+
+  return cacheDir;
+}
+
+exports.ensureCacheDir = ensureCacheDir;
+
+function assertKey(key) {
+  // We want keys to be hex so that they work on any FS
+  // and never end in .cache.
+  if (!/^[a-f0-9]+$/.test(key)) {
+    throw Error("bad cacheKey: " + key);
+  }
+}
+
+function readFileOrNull(filename, encoding) {
+  try {
+    return fs.readFileSync(filename, encoding);
+  } catch (e) {
+    if (e && e.code === "ENOENT")
+      return null;
+    throw e;
+  }
+}
+
+function parseJSONOrNull(json) {
+  try {
+    return JSON.parse(json);
+  } catch (e) {
+    if (e instanceof SyntaxError)
+      return null;
+    throw e;
+  }
+}
+
+function deleteFileOrIgnore(filename) {
+  try {
+    fs.unlinkSync(filename);
+  } catch (e) {
+    if (! e || e.code !== "ENOENT") throw e;
+  }
+}
+
+// We want to write the file atomically.
+// But we also don't want to block processing on the file write.
+function writeFileAsync(filename, contents, callback) {
+  var tempFilename = filename + ".tmp." + random.uuid4();
+  fs.writeFile(tempFilename, contents, function(err) {
+    // ignore errors, it's just a cache
+    if (err) {
+      return;
+    }
+    fs.rename(tempFilename, filename, function(err) {
+      // ignore this error too.
+      if (! err && callback) {
+        callback(contents.length);
+      }
+    });
+  });
+}
+
+// Updates modification time of a cache file,
+// which is used to find least recently used entries.
+function touchFileAsync(filename) {
+  var now = new Date();
+  fs.utimes(filename, now, now, function(err) {
+    // ignore errors, it's just a cache
+  });
+}
+
+function listKeys(dir, ext) {
+  var filenames;
+  try {
+    filenames = fs.readdirSync(dir);
+  } catch (e) {
+    if (e && e.code === "ENOENT")
+      return [];
+    throw e;
+  }
+
+  var keys = [];
+  filenames.forEach(function(filename) {
+    if (filename.endsWith(ext)) {
+      keys.push(filename.slice(0, -ext.length));
+    }
+  });
+  return keys;
+}
+
+
+// Keeps values in memory only, up to TYPESCRIPT_MEMORY_STORAGE_SIZE
+// bytes (100MB by default), evicting least recently used ones.
+function MemoryStorage() {
+  assert.ok(this instanceof MemoryStorage);
+
+  var maxSize = process.env.TYPESCRIPT_MEMORY_STORAGE_SIZE;
+  this._cache = new LRU({
+    max: Number(maxSize) || 1024 * 1024 * 100,
+    length: function(value, key) {
+      return sizeof(value);
+    }
+  });
+}
+
+exports.MemoryStorage = MemoryStorage;
+
+var MSp = MemoryStorage.prototype;
+
+MSp.get = function(key) {
+  return this._cache.has(key) ? this._cache.get(key) : null;
+};
+
+MSp.set = function(key, value, callback) {
+  this._cache.set(key, value);
+  if (callback) callback(0);
+};
+
+MSp.has = function(key) {
+  return this._cache.has(key);
+};
+
+MSp.delete = function(key) {
+  this._cache.del(key);
+};
+
+MSp.list = function() {
+  return this._cache.keys();
+};
+
+
+// Keeps values as JSON files in a directory.
+function FileStorage(cacheDir) {
+  assert.ok(this instanceof FileStorage);
+
+  this.dir = ensureCacheDir(cacheDir);
+}
+
+exports.FileStorage = FileStorage;
+
+var FSp = FileStorage.prototype;
+
+FSp.ext = ".cache";
+
+FSp._filename = function(key) {
+  assertKey(key);
+
+  return path.join(this.dir, key + this.ext);
+};
+
+// Returns null if the file does not exist or can't be parsed;
+// otherwise returns the parsed value in the file.
+FSp.get = function(key) {
+  var filename = this._filename(key);
+  var value = parseJSONOrNull(readFileOrNull(filename, "utf8"));
+  if (value) {
+    touchFileAsync(filename);
+  }
+  return value;
+};
+
+FSp.set = function(key, value, callback) {
+  var contents = Buffer.from(JSON.stringify(value));
+  writeFileAsync(this._filename(key), contents, callback);
+};
+
+FSp.has = function(key) {
+  return fs.existsSync(this._filename(key));
+};
+
+FSp.delete = function(key) {
+  deleteFileOrIgnore(this._filename(key));
+};
+
+FSp.list = function() {
+  return listKeys(this.dir, this.ext);
+};
+
+
+/**
+ * Keeps each value as a gzipped tarball with one JSON file inside,
+ * e.g. to share a cache directory between CI jobs.
+ */
+function TarballStorage(cacheDir) {
+  assert.ok(this instanceof TarballStorage);
+
+  this.dir = ensureCacheDir(cacheDir);
+}
+
+exports.TarballStorage = TarballStorage;
+
+var TSp = TarballStorage.prototype;
+
+TSp.ext = ".tgz";
+
+TSp._filename = FSp._filename;
+
+TSp.get = function(key) {
+  var filename = this._filename(key);
+  var tarball = readFileOrNull(filename);
+  if (! tarball) return null;
+
+  var contents;
+  try {
+    contents = readTarEntry(zlib.gunzipSync(tarball));
+  } catch (e) {
+    // Broken tarball, e.g. written partially.
+    return null;
+  }
+
+  var value = parseJSONOrNull(contents);
+  if (value) {
+    touchFileAsync(filename);
+  }
+  return value;
+};
+
+TSp.set = function(key, value, callback) {
+  var filename = this._filename(key);
+  var tar = createTar(key + ".json", JSON.stringify(value));
+  zlib.gzip(tar, function(err, tarball) {
+    // ignore errors, it's just a cache
+    if (err) {
+      return;
+    }
+    writeFileAsync(filename, tarball, callback);
+  });
+};
+
+TSp.has = FSp.has;
+
+TSp.delete = FSp.delete;
+
+TSp.list = FSp.list;
+
+var TAR_BLOCK = 512;
+
+function padOctal(num, length) {
+  var octal = num.toString(8);
+  while (octal.length < length) {
+    octal = "0" + octal;
+  }
+  return octal;
+}
+
+// Creates a tar archive (ustar) with a single file.
+function createTar(name, contents) {
+  var data = Buffer.from(contents);
+  var header = Buffer.alloc(TAR_BLOCK);
+  header.write(name, 0, 100);
+  header.write(padOctal(parseInt("644", 8), 7), 100);
+  header.write(padOctal(0, 7), 108);
+  header.write(padOctal(0, 7), 116);
+  header.write(padOctal(data.length, 11), 124);
+  header.write(padOctal(Math.floor(Date.now() / 1000), 11), 136);
+  // Checksum is calculated with its own field filled with spaces.
+  header.write("        ", 148);
+  header.write("0", 156);
+  header.write("ustar\0" + "00", 257);
+
+  var checksum = 0;
+  for (var i = 0; i < TAR_BLOCK; i++) {
+    checksum += header[i];
+  }
+  header.write(padOctal(checksum, 6) + "\0 ", 148);
+
+  var padding = (TAR_BLOCK - data.length % TAR_BLOCK) % TAR_BLOCK;
+  return Buffer.concat([
+    header, data, Buffer.alloc(padding),
+    // End of archive.
+    Buffer.alloc(TAR_BLOCK * 2)
+  ]);
+}
+
+// Reads contents of the first file in a tar archive.
+function readTarEntry(tar) {
+  if (tar.length < TAR_BLOCK) {
+    throw new Error("tar archive is too short");
+  }
+
+  var size = parseInt(tar.toString("ascii", 124, 136), 8);
+  return tar.toString("utf8", TAR_BLOCK, TAR_BLOCK + size);
+}
+
+
+var storages = {
+  memory: MemoryStorage,
+  fs: FileStorage,
+  tarball: TarballStorage
+};
+
+/**
+ * Creates a storage by its name: memory, fs or tarball.
+ * Name defaults to TYPESCRIPT_CACHE_STORAGE or fs.
+ */
+function createStorage(name, cacheDir) {
+  name = name || process.env.TYPESCRIPT_CACHE_STORAGE || "fs";
+
+  var Storage = storages[name];
+  if (! Storage) {
+    throw new Error("Unknown cache storage: " + name + ".\n" +
+      "Valid storages are " + Object.keys(storages).join(", ") + ".");
+  }
+
+  return new Storage(cacheDir);
+}
+
+exports.createStorage = createStorage;
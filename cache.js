@@ -3,34 +3,28 @@ var fs = require("fs");
 var assert = require("assert");
 var LRU = require("lru-cache");
 var sizeof = require('object-sizeof');
-var random = require("random-js")();
+var _ = require("underscore");
 
 var utils = require("./utils");
 var pkgVersion = require("./package.json").version;
 var globalSourceHost = require("./files-source-host").sourceHost;
 var Logger = require("./logger").Logger;
+var storages = require("./cache-storage");
 
-function meteorLocalDir() {
-  var cwdDir = process.cwd();
-  return cwdDir ? path.join(cwdDir, ".meteor", "local") : __dirname;
-}
-
-function ensureCacheDir(cacheDir) {
-  cacheDir = path.resolve(
-    cacheDir ||
-    process.env.TYPESCRIPT_CACHE_DIR ||
-    path.join(meteorLocalDir(), ".typescript-cache")
-  );
+// Version of the cached results' format, which changes
+// with the shape of results, e.g. of the dependencies,
+// or with their content, e.g. line breaks of the code.
+var resultFormat = 3;
 
-  try {
-    utils.mkdirp(cacheDir);
-  } catch (error) {
-    if (error.code !== "EEXIST") {
-      throw error;
-    }
-  }
+function isStorage(storage) {
+  return !! storage && typeof storage.get === "function" &&
+    typeof storage.set === "function";
+}
 
-  return cacheDir;
+// Takes either a storage or a cache dir for the file storage.
+function toStorage(storageOrDir) {
+  return isStorage(storageOrDir) ? storageOrDir :
+    new storages.FileStorage(storageOrDir);
 }
 
 function Cache(length) {
@@ -43,19 +37,22 @@ function Cache(length) {
       return sizeof(obj);
     }
   });
+  this.stats = new CacheStats();
 };
 
 exports.Cache = Cache;
 
 var Cp = Cache.prototype;
 
-Cp._get = function(cacheKey) {
-  var pget = Logger.newProfiler("cache get");
+Cp._get = function(cacheKey, profileArgs) {
+  var pget = Logger.newProfiler("cache get", profileArgs);
   var result = this._cache.get(cacheKey);
   pget.end();
 
-  if (! result) {
-    var pread = Logger.newProfiler("cache read");
+  if (result) {
+    this.stats.memoryHits++;
+  } else {
+    var pread = Logger.newProfiler("cache read", profileArgs);
     result = this._readCache(cacheKey);
     pread.end();
   }
@@ -63,129 +60,262 @@ Cp._get = function(cacheKey) {
   return result; 
 };
 
-Cp._save = function(cacheKey, result) {
-  var psave = Logger.newProfiler("cache save");
+Cp.getStats = function() {
+  return _.clone(this.stats);
+};
+
+Cp.resetStats = function() {
+  this.stats = new CacheStats();
+};
+
+Cp._save = function(cacheKey, result, profileArgs) {
+  var psave = Logger.newProfiler("cache save", profileArgs);
   this._cache.set(cacheKey, result);
   this._writeCacheAsync(cacheKey, result);
   psave.end();
 };
 
-Cp._cacheFilename = function(cacheKey) {
-  // We want cacheKeys to be hex so that they work on any FS
-  // and never end in .cache.
-  if (!/^[a-f0-9]+$/.test(cacheKey)) {
-    throw Error("bad cacheKey: " + cacheKey);
+Cp._readCache = function(cacheKey) {
+  if (! this.storage) {
+    return null;
+  }
+
+  var compileResult = this.storage.get(cacheKey);
+  if (! compileResult) {
+    return null;
+  }
+  this._cache.set(cacheKey, compileResult);
+  this.stats.diskHits++;
+
+  return compileResult;
+}
+
+// Storages save results asynchronously where possible
+// in order not to block processing.
+Cp._writeCacheAsync = function(cacheKey, compileResult) {
+  if (! this.storage) return;
+
+  var stats = this.stats;
+  this.storage.set(cacheKey, compileResult, function(bytesWritten) {
+    stats.bytesWritten += bytesWritten;
+  });
+}
+
+
+/**
+ * Counters of cache usage:
+ *  - memoryHits: results found in the in-memory cache
+ *  - diskHits: results read from the storage (disk cache)
+ *  - misses: results not found in the cache
+ *  - diagnosticsUpdates: cached results with re-evaluated diagnostics
+ *  - recompiles: cached results re-compiled since referenced files changed
+ *  - bytesWritten: bytes written to the storage (disk cache)
+ */
+function CacheStats() {
+  this.memoryHits = 0;
+  this.diskHits = 0;
+  this.misses = 0;
+  this.diagnosticsUpdates = 0;
+  this.recompiles = 0;
+  this.bytesWritten = 0;
+}
+
+var DAY_MS = 24 * 60 * 60 * 1000;
+
+// Temp files younger than that can be in-flight writes
+// of another process.
+var TMP_MIN_AGE_MS = 10 * 60 * 1000;
+
+// Marker file which mtime is the time of the last prune.
+var PRUNE_MARKER = ".last-prune";
+
+function getPruneOptions(options) {
+  var maxBytes = options && options.maxBytes;
+  if (maxBytes === undefined) {
+    maxBytes = process.env.TYPESCRIPT_CACHE_MAX_BYTES || 1024 * 1024 * 1024;
+  }
+
+  var maxAgeDays = options && options.maxAgeDays;
+  if (maxAgeDays === undefined) {
+    maxAgeDays = process.env.TYPESCRIPT_CACHE_MAX_AGE_DAYS || 30;
   }
 
-  return path.join(this.cacheDir, cacheKey + ".cache");
+  return {
+    maxBytes: Number(maxBytes),
+    maxAgeDays: Number(maxAgeDays)
+  };
 }
 
-Cp._readFileOrNull = function(filename) {
+function statCacheFiles(cacheDir) {
+  var filenames;
   try {
-    return fs.readFileSync(filename, "utf8");
+    filenames = fs.readdirSync(cacheDir);
   } catch (e) {
     if (e && e.code === "ENOENT")
-      return null;
+      return [];
     throw e;
   }
+
+  var entries = [];
+  filenames.forEach(function(filename) {
+    // Temp files are left from unfinished writes.
+    if (! /\.(cache|tgz)(\.tmp\..+)?$/.test(filename)) return;
+
+    var fullPath = path.join(cacheDir, filename);
+    try {
+      var stat = fs.statSync(fullPath);
+      entries.push({
+        path: fullPath,
+        size: stat.size,
+        mtime: stat.mtime.getTime(),
+        tmp: filename.indexOf(".tmp.") !== -1
+      });
+    } catch (e) {
+      // File can be removed by a concurrent process.
+      if (! e || e.code !== "ENOENT") throw e;
+    }
+  });
+  return entries;
 }
 
-Cp._parseJSONOrNull = function(json) {
+function removeFileOrIgnore(filename) {
   try {
-    return JSON.parse(json);
+    fs.unlinkSync(filename);
+    return true;
   } catch (e) {
-    if (e instanceof SyntaxError)
-      return null;
+    if (e && e.code === "ENOENT")
+      return false;
     throw e;
   }
 }
 
-// Returns null if the file does not exist or can't be parsed; otherwise
-// returns the parsed compileResult in the file.
-Cp._readAndParseCompileResultOrNull = function(filename) {
-  var content = this._readFileOrNull(filename);
-  return this._parseJSONOrNull(content);
-}
+/**
+ * Removes cache files older than maxAgeDays and then,
+ * if the cache is still larger than maxBytes, removes
+ * least recently used files until it fits.
+ * Temp files of possibly unfinished writes are kept.
+ * Limits default to TYPESCRIPT_CACHE_MAX_BYTES and
+ * TYPESCRIPT_CACHE_MAX_AGE_DAYS, or 1GB and 30 days.
+ *
+ * @returns Object with numbers of removed files and bytes,
+ *  and the size of the cache after pruning.
+ */
+function pruneCache(cacheDir, options) {
+  assert.ok(cacheDir);
+
+  var pprune = Logger.newProfiler("cache prune");
+  var limits = getPruneOptions(options);
+  var entries = statCacheFiles(cacheDir);
+  // Least recently used first.
+  entries.sort(function(a, b) {
+    return a.mtime - b.mtime;
+  });
 
-Cp._readCache = function(cacheKey) {
-  if (! this.cacheDir) {
-    return null;
-  }
+  var totalBytes = entries.reduce(function(total, entry) {
+    return total + entry.size;
+  }, 0);
 
-  var cacheFilename = this._cacheFilename(cacheKey);
-  var compileResult = this._readAndParseCompileResultOrNull(cacheFilename);
-  if (! compileResult) {
-    return null;
-  }
-  this._cache.set(cacheKey, compileResult);
+  var minTime = Date.now() - limits.maxAgeDays * DAY_MS;
+  var minTmpTime = Date.now() - TMP_MIN_AGE_MS;
+  var result = { removedFiles: 0, removedBytes: 0 };
+  entries.forEach(function(entry) {
+    if (entry.tmp && entry.mtime > minTmpTime) return;
 
-  return compileResult;
-}
+    var expired = entry.mtime < minTime;
+    if (! expired && totalBytes <= limits.maxBytes) return;
 
-// We want to write the file atomically.
-// But we also don't want to block processing on the file write.
-Cp._writeFileAsync = function(filename, contents) {
-  var tempFilename = filename + ".tmp." + random.uuid4();
-  fs.writeFile(tempFilename, contents, function(err) {
-    // ignore errors, it's just a cache
-    if (err) {
-      return;
+    if (removeFileOrIgnore(entry.path)) {
+      result.removedFiles++;
+      result.removedBytes += entry.size;
     }
-    fs.rename(tempFilename, filename, function(err) {
-      // ignore this error too.
-    });
+    totalBytes -= entry.size;
   });
+  result.cacheBytes = totalBytes;
+
+  Logger.debug("cache pruned: %j", result);
+  pprune.end();
+
+  return result;
 }
 
-Cp._writeCacheAsync = function(cacheKey, compileResult) {
-  if (! this.cacheDir) return;
+exports.pruneCache = pruneCache;
+
+/**
+ * Prunes the cache at most once a day, which is tracked
+ * by a marker file in the cache dir, so that it's not
+ * scanned on each start of the compiler.
+ *
+ * @returns Result of pruneCache or null if skipped.
+ */
+function pruneCacheThrottled(cacheDir, options) {
+  assert.ok(cacheDir);
 
-  var cacheFilename = this._cacheFilename(cacheKey);
-  var cacheContents = JSON.stringify(compileResult);
-  this._writeFileAsync(cacheFilename, cacheContents);
+  var marker = path.join(cacheDir, PRUNE_MARKER);
+  try {
+    if (fs.statSync(marker).mtime.getTime() > Date.now() - DAY_MS) {
+      return null;
+    }
+  } catch (e) {
+    if (! e || e.code !== "ENOENT") throw e;
+  }
+
+  // Touches the marker before pruning so that
+  // concurrent processes skip it.
+  fs.writeFileSync(marker, "");
+  return pruneCache(cacheDir, options);
 }
 
+exports.pruneCacheThrottled = pruneCacheThrottled;
 
 // Cache to save and retrieve compiler results.
-function CompileCache(cacheDir, sourceHost) {
+// Takes a storage or a cache dir to save results to files.
+function CompileCache(storage, sourceHost) {
   Cache.apply(this);
-  this.cacheDir = ensureCacheDir(cacheDir);
+  this.storage = toStorage(storage);
+  this.cacheDir = this.storage.dir;
   this.sourceHost = sourceHost || globalSourceHost;
 }
 
 var CCp = CompileCache.prototype = new Cache();
 
-CCp.get = function(filePath, options, compileFn) {
+CCp._getCacheKey = function(filePath, options) {
   var source = this.sourceHost.get(filePath);
-  var cacheKey = utils.deepHash(pkgVersion, source, options);
+  return utils.deepHash(pkgVersion, resultFormat, source, options);
+};
+
+// Results are shared between archs, arch is
+// only to attribute profiling spans.
+CCp.get = function(filePath, options, compileFn, arch) {
+  var cacheKey = this._getCacheKey(filePath, options);
+  var profileArgs = { filePath: filePath, arch: arch };
 
-  var compileResult = this._get(cacheKey);
+  var compileResult = this._get(cacheKey, profileArgs);
   if (compileResult) {
     Logger.debug("file %s result is in cache", filePath);
+  } else {
+    this.stats.misses++;
   }
 
   var newResult = compileFn(compileResult);
   if (newResult) {
     newResult.hash = cacheKey;
-    this._save(cacheKey, newResult);
+    this._save(cacheKey, newResult, profileArgs);
     return newResult;
   }
 
   return compileResult;
 };
 
-CCp.save = function(filePath, options, compileResult) {
-  var source = this.sourceHost.get(filePath);
-  var cacheKey = utils.deepHash(pkgVersion, source, options);
+CCp.save = function(filePath, options, compileResult, arch) {
+  var cacheKey = this._getCacheKey(filePath, options);
 
-  this._save(cacheKey, compileResult);
+  this._save(cacheKey, compileResult, { filePath: filePath, arch: arch });
 };
 
 // Check if a compiler result has changed for a file
 // to compile with specific options.
 CCp.resultChanged = function(filePath, options) {
-  var source = this.sourceHost.get(filePath);
-  var cacheKey = utils.deepHash(pkgVersion, source, options);
+  var cacheKey = this._getCacheKey(filePath, options);
   var compileResult = this._cache.get(cacheKey);
 
   if (! compileResult) {
@@ -203,9 +333,10 @@ exports.CompileCache = CompileCache;
  * Used to check if a file content has been changed
  * between two successive compilations.
  */
-function FileHashCache(cacheDir) {
+function FileHashCache(storage) {
   Cache.apply(this);
-  this.cacheDir = ensureCacheDir(cacheDir);
+  this.storage = toStorage(storage);
+  this.cacheDir = this.storage.dir;
 }
 
 FileHashCache.prototype = new Cache();
@@ -218,12 +349,24 @@ FHCp.save = function(filePath, arch, content) {
   var profile = { filePath: filePath, arch: arch };
   var cacheKey = utils.deepHash(profile);
   var contentHash = utils.deepHash(content);
-  this._save(cacheKey, contentHash);
+  this._save(cacheKey, contentHash, profile);
 };
 
 FHCp.isChanged = function(filePath, arch, content) {
   var profile = { filePath: filePath, arch: arch };
   var cacheKey = utils.deepHash(profile);
   var contentHash = utils.deepHash(content);
-  return this._get(cacheKey) !== contentHash;
+  return this._get(cacheKey, profile) !== contentHash;
+};
+
+// Saves versions of files (path to version map)
+// a service of an app and arch has read from disk.
+FHCp.saveVersions = function(appId, arch, versions) {
+  var profile = { appId: appId, arch: arch };
+  this._save(utils.deepHash(profile), versions, profile);
+};
+
+FHCp.getVersions = function(appId, arch) {
+  var profile = { appId: appId, arch: arch };
+  return this._get(utils.deepHash(profile), profile);
 };
@@ -0,0 +1,312 @@
+'use strict';
+
+var path = require("path");
+var fs = require("fs");
+var _ = require("underscore");
+
+var meteorTS = require("./index");
+var writeResult = require("./watcher").writeResult;
+var LspServer = require("./lsp-server").LspServer;
+var tsu = require("./ts-utils").ts;
+
+/**
+ * Command line interface of the package, see bin/meteor-typescript.
+ * Runs the same pipeline as the Meteor compiler plugin does,
+ * i.e., TSBuild with its presets, per-arch defaults and rooted paths.
+ */
+
+var validArgs = {
+  "arch": "Array",
+  "out-dir": "String",
+  "cache-dir": "String",
+  "check": "Boolean",
+  "format-options": "String"
+};
+
+var usage = [
+  "Usage: meteor-typescript <command> [project] [options]",
+  "",
+  "Commands:",
+  "  build    Compiles the project to JS and source maps",
+  "  check    Type-checks the project for each --arch",
+  "  watch    Re-emits files affected by changes, --out-dir is optional",
+  "  lsp      Starts a language server over stdio",
+  "  format   Formats files of the project in place",
+  "",
+  "Options:",
+  "  --arch <arch>             Meteor architecture, e.g. os or web.browser",
+  "  --out-dir <dir>           Output directory of the build command",
+  "  --cache-dir <dir>         Directory of the disk cache",
+  "  --check                   Lists unformatted files instead of formatting",
+  "  --format-options <file>   JSON file with TypeScript format settings"
+].join("\n");
+
+// Parses command line arguments into the command,
+// the project path and the options, e.g. { arch: ["os"] }.
+function parseArgs(argv) {
+  var args = { command: null, project: null };
+  for (var i = 0; i < argv.length; i++) {
+    var arg = argv[i];
+    if (arg.indexOf("--") !== 0) {
+      if (! args.command) {
+        args.command = arg;
+      } else if (! args.project) {
+        args.project = arg;
+      } else {
+        throw new Error("Unexpected argument: " + arg);
+      }
+      continue;
+    }
+
+    var name = arg.slice(2);
+    var type = validArgs[name];
+    if (! type) {
+      throw new Error("Unknown option: " + arg + ".\n" +
+        "Valid options are --" + _.keys(validArgs).join(", --") + ".");
+    }
+
+    if (type === "Boolean") {
+      args[name] = true;
+      continue;
+    }
+
+    var value = argv[++i];
+    if (value === undefined || value.indexOf("--") === 0) {
+      throw new Error("Option " + arg + " requires a value");
+    }
+
+    if (type === "Array") {
+      args[name] = (args[name] || []).concat(value);
+    } else {
+      args[name] = value;
+    }
+  }
+  return args;
+}
+
+exports.parseArgs = parseArgs;
+
+// Loads the project's tsconfig and makes the project's directory
+// current, since file paths are relative to the Meteor app.
+function loadProject(args) {
+  var config = meteorTS.loadTsConfig(args.project);
+  var configPath = path.resolve(args.project || "");
+  var projectDir = fs.statSync(configPath).isDirectory() ?
+    configPath : path.dirname(configPath);
+  process.chdir(projectDir);
+  return config;
+}
+
+function createBuild(config, arch) {
+  var options = _.extend({ arch: arch }, config.options);
+  // Compiler options are changed by TSBuild.
+  options.compilerOptions = _.clone(options.compilerOptions);
+
+  return new meteorTS.TSBuild(config.filePaths, function(filePath) {
+    return fs.readFileSync(filePath, "utf8");
+  }, options);
+}
+
+// Files to emit, i.e., all root files but declarations.
+function getEmitPaths(config) {
+  return _.reject(config.filePaths, tsu.isTypings);
+}
+
+function formatDiagnostic(diagnostic) {
+  var location = "";
+  if (diagnostic.fileName) {
+    location = diagnostic.fileName +
+      "(" + diagnostic.line + "," + diagnostic.column + "): ";
+  }
+  return location + "error TS" + diagnostic.code + ": " + diagnostic.message;
+}
+
+exports.formatDiagnostic = formatDiagnostic;
+
+function formatFileDiagnostics(diagnostics) {
+  return _.map(diagnostics.syntacticErrors.concat(
+    diagnostics.semanticErrors), formatDiagnostic);
+}
+
+/**
+ * Compiles the project for one architecture and writes JS files,
+ * source maps and, if requested, declarations to the output directory.
+ * Diagnostics are printed but don't fail the build,
+ * same as in Meteor; use check command for that.
+ */
+function build(args, io) {
+  var archs = args.arch || ["os"];
+  if (archs.length !== 1) {
+    throw new Error("Build command takes one --arch");
+  }
+
+  var outDir = path.resolve(args["out-dir"] || "build");
+  var config = loadProject(args);
+  var tsBuild = createBuild(config, archs[0]);
+
+  _.each(getEmitPaths(config), function(filePath) {
+    var result = tsBuild.emit(filePath);
+    writeResult(outDir, filePath, result);
+
+    _.each(formatFileDiagnostics(result.diagnostics), function(line) {
+      io.log(line);
+    });
+  });
+
+  return 0;
+}
+
+// Formats errors of a ProjectDiagnostics report.
+function formatProjectDiagnostics(diagnostics) {
+  var lines = _.map(diagnostics.globalErrors, formatDiagnostic);
+  _.each(diagnostics.files, function(fileDiagnostics) {
+    lines = lines.concat(formatFileDiagnostics(fileDiagnostics));
+  });
+  return lines;
+}
+
+/**
+ * Type-checks the project for each architecture without emitting.
+ * Errors the architectures have in common are printed once.
+ * Exits with 1 if there are errors.
+ */
+function check(args, io) {
+  var archs = args.arch || ["os"];
+  var config = loadProject(args);
+
+  var hasErrors = false;
+  var lines = [];
+  _.each(archs, function(arch) {
+    var diagnostics = createBuild(config, arch).getDiagnostics();
+    hasErrors = hasErrors || diagnostics.hasErrors();
+    lines = lines.concat(formatProjectDiagnostics(diagnostics));
+  });
+
+  _.each(_.uniq(lines), function(line) {
+    io.log(line);
+  });
+
+  return hasErrors ? 1 : 0;
+}
+
+/**
+ * Builds the project and re-emits files affected by changes,
+ * printing their diagnostics after each rebuild.
+ * Keeps running, hence, returns no exit code.
+ */
+function watch(args, io) {
+  var outDir = args["out-dir"] && path.resolve(args["out-dir"]);
+  loadProject(args);
+
+  var watcher = new meteorTS.Watcher({
+    archs: args.arch,
+    outDir: outDir
+  });
+
+  var lines = [];
+  watcher.on("diagnostics", function(event) {
+    lines = lines.concat(formatFileDiagnostics(event.diagnostics));
+  });
+  watcher.on("rebuild", function(event) {
+    io.log("Emitted " + event.emitted.length + " file(s) for " + event.arch);
+    _.each(_.uniq(lines), function(line) {
+      io.log(line);
+    });
+    lines = [];
+  });
+  watcher.on("error", function(error) {
+    io.error(error.message);
+  });
+
+  watcher.start();
+  return null;
+}
+
+/**
+ * Starts the Language Server Protocol server over stdio.
+ * The project is the workspace root the editor sends.
+ */
+function lsp(args, io) {
+  // Stdout is used for messages, hence, logs go to stderr.
+  meteorTS.Logger.setSinks(_.map(meteorTS.Logger.sinks, function(sink) {
+    return sink instanceof meteorTS.ConsoleSink ?
+      new meteorTS.ConsoleSink(true) : sink;
+  }));
+
+  new LspServer({ archs: args.arch }).listen();
+  return null;
+}
+
+/**
+ * Formats files of the project, or with --check, lists
+ * unformatted files and exits with 1 if there are any.
+ */
+function format(args, io) {
+  var formatOptions = args["format-options"] &&
+    JSON.parse(fs.readFileSync(args["format-options"], "utf8"));
+  var config = loadProject(args);
+  var tsBuild = createBuild(config, (args.arch || ["os"])[0]);
+
+  var unformatted = _.filter(config.filePaths, function(filePath) {
+    var result = tsBuild.format(filePath, formatOptions);
+    if (result.text === fs.readFileSync(filePath, "utf8")) return false;
+
+    if (! args.check) {
+      fs.writeFileSync(filePath, result.text);
+    }
+    return true;
+  });
+
+  _.each(unformatted, function(filePath) {
+    io.log(args.check ? filePath : "Formatted " + filePath);
+  });
+
+  return args.check && unformatted.length ? 1 : 0;
+}
+
+var commands = {
+  build: build,
+  check: check,
+  watch: watch,
+  lsp: lsp,
+  format: format
+};
+
+/**
+ * Runs a command and returns its exit code,
+ * or null if the command keeps running, e.g. watch.
+ *
+ * @param argv Command line arguments without node and script paths.
+ * @param io Object with log and error methods to print with,
+ *  console by default.
+ */
+function run(argv, io) {
+  io = io || console;
+
+  var cwd = process.cwd();
+  var code = 2;
+  try {
+    var args = parseArgs(argv);
+    var command = commands[args.command];
+    if (! command) {
+      io.error(usage);
+      return code;
+    }
+
+    if (args["cache-dir"]) {
+      meteorTS.setCacheDir(path.resolve(args["cache-dir"]));
+    }
+    code = command(args, io);
+    return code;
+  } catch (error) {
+    io.error(error.message);
+    return code;
+  } finally {
+    // Watch keeps running in the project's directory.
+    if (code !== null) {
+      process.chdir(cwd);
+    }
+  }
+}
+
+exports.run = run;
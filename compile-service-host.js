@@ -1,4 +1,5 @@
 var ts = require("typescript");
+var fs = require("fs");
 var _ = require("underscore");
 
 var deepHash = require("./utils").deepHash;
@@ -7,11 +8,22 @@ var tsu = require("./ts-utils").ts;
 var Logger = require("./logger").Logger;
 var StringScriptSnapshot = require("./script-snapshot").ScriptSnapshot;
 
-function CompileServiceHost(fileCache) {
+function CompileServiceHost(fileCache, serviceKey) {
   this.files = {};
+  // Dependencies of the emitted files and
+  // the reverse index, i.e., file path to its dependents.
+  this.fileDeps = {};
+  this.dependents = new Map();
+  // Files removed by the last setFiles.
+  this.removedFiles = {};
   this.fileCache = fileCache;
   this.fileContentMap = new Map();
   this.typingsChanged = false;
+  // Versions of declarations read from disk, saved for the next start,
+  // and whether they have changed since last saved.
+  this.diskVersions = null;
+  this.diskFilesChanged = false;
+  this.serviceKey = serviceKey;
   this.appId = this.curDir = ts.sys.getCurrentDirectory();
 }
 
@@ -25,31 +37,125 @@ SH.setFiles = function(filePaths, options) {
 
   var typings = [];
   var arch = options && options.arch;
+  this.removeMissingFiles(filePaths, arch);
+  var diskChanged = this.checkDiskFiles(arch);
   _.each(filePaths, function(filePath) {
-    if (! this.files[filePath]) {
-      this.files[filePath] = { version: 0 };
-    }
-
     // Collect typings in order to set them later.
     if (tsu.isTypings(filePath)) {
       typings.push(filePath);
     }
 
-    var source = sourceHost.get(filePath);
-    this.files[filePath].changed = false;
-    // Use file path with the current dir for the cache
-    // to avoid same file names coincidences between apps.
-    var fullPath = ts.combinePaths(this.curDir, filePath);
-    var fileChanged = this.fileCache.isChanged(fullPath, arch, source);
-    if (fileChanged) {
-      this.files[filePath].version++;
-      this.files[filePath].changed = true;
-      this.fileCache.save(fullPath, arch, source);
-      return;
-    }
+    this.updateFile(filePath, arch);
   }, this);
 
   this.setTypings(typings, options);
+  // Declarations read from disk, e.g. node_modules/@types,
+  // can change after npm install, which affects all files.
+  if (diskChanged) {
+    this.typingsChanged = true;
+  }
+};
+
+// Checks if the content of a root file has changed
+// and, if so, updates its hash and version.
+// Can be used alone to update one file, e.g. edited in an editor.
+SH.updateFile = function(filePath, arch) {
+  if (! this.files[filePath]) {
+    this.files[filePath] = { version: 0 };
+  }
+
+  var source = sourceHost.get(filePath);
+  this.files[filePath].changed = false;
+  // Use file path with the current dir for the cache
+  // to avoid same file names coincidences between apps.
+  var fullPath = ts.combinePaths(this.curDir, filePath);
+  var fileChanged = this.fileCache.isChanged(fullPath, arch, source);
+  if (fileChanged || ! this.files[filePath].hash) {
+    this.files[filePath].hash = deepHash(source);
+  }
+  if (fileChanged) {
+    this.files[filePath].version++;
+    this.files[filePath].changed = true;
+    this.fileCache.save(fullPath, arch, source);
+  }
+  return fileChanged;
+};
+
+// Removes files that are not in the new list of files,
+// i.e., deleted or renamed since the last time.
+SH.removeMissingFiles = function(filePaths, arch) {
+  var newPaths = new Set(filePaths);
+  this.removedFiles = {};
+  _.each(_.keys(this.files), function(filePath) {
+    if (newPaths.has(filePath)) return;
+
+    Logger.event("file removed", { filePath: filePath, arch: arch });
+    delete this.files[filePath];
+    // Dependents of the file are kept to find files affected by the removal.
+    this.setDepsAndRefs(filePath, null);
+    delete this.fileDeps[filePath];
+    this.removedFiles[filePath] = true;
+  }, this);
+};
+
+SH.getRemovedFiles = function() {
+  return _.keys(this.removedFiles);
+};
+
+// Checks declarations read from disk by getFile for changes
+// of their mtime and size. Changed files are re-read,
+// which changes their script versions.
+// Only node_modules declarations are checked, since TypeScript's
+// lib files change only with the package itself.
+SH.checkDiskFiles = function(arch) {
+  var changed = false;
+  this.fileContentMap.forEach(function(file, filePath) {
+    if (! isDiskTypings(filePath)) return;
+
+    var stat = statOrNull(filePath);
+    if (file.mtime === getMtime(stat) && file.size === getSize(stat)) return;
+
+    Logger.event("disk file changed", { filePath: filePath, arch: arch });
+    this.fileContentMap.set(filePath, readDiskFile(filePath));
+    this.diskFilesChanged = true;
+    changed = true;
+  }, this);
+
+  // Declarations read before the restart, which are not read yet,
+  // since cached results are emitted without reading them.
+  // They could change in the meantime, e.g. after npm install.
+  if (! this.diskVersions) {
+    this.diskVersions =
+      this.fileCache.getVersions(this.appId, this.serviceKey) || {};
+  }
+  _.each(this.diskVersions, function(version, filePath) {
+    if (this.fileContentMap.has(filePath)) return;
+
+    var newVersion = getVersion(statOrNull(filePath));
+    if (newVersion === version) return;
+
+    Logger.event("disk file changed", { filePath: filePath, arch: arch });
+    this.diskVersions[filePath] = newVersion;
+    changed = true;
+  }, this);
+
+  return changed;
+};
+
+// Saves versions of declarations read from disk,
+// if they have changed, to check them after the restart.
+SH.saveDiskFiles = function() {
+  if (! this.diskFilesChanged) return;
+
+  var versions = {};
+  this.fileContentMap.forEach(function(file, filePath) {
+    if (isDiskTypings(filePath)) {
+      versions[filePath] = file.mtime + ":" + file.size;
+    }
+  });
+  this.fileCache.saveVersions(this.appId, this.serviceKey, versions);
+  this.diskVersions = versions;
+  this.diskFilesChanged = false;
 };
 
 SH.setTypings = function(typings, options) {
@@ -61,7 +167,7 @@ SH.setTypings = function(typings, options) {
     if (this.hasFile(filePath)) { 
       dtsMap[filePath] = true;
       if (this.isFileChanged(filePath)) {
-        Logger.debug("declaration file %s changed", filePath);
+        Logger.event("typings changed", { filePath: filePath, arch: arch });
         typingsChanged = true;
       }
       continue;
@@ -73,7 +179,7 @@ SH.setTypings = function(typings, options) {
       var fileChanged = this.fileCache.isChanged(fullPath, arch, source);
       if (fileChanged) {
         this.fileCache.save(fullPath, arch, source);
-        Logger.debug("declaration file %s changed", filePath);
+        Logger.event("typings changed", { filePath: filePath, arch: arch });
         typingsChanged = true;
       }
     }
@@ -86,7 +192,7 @@ SH.setTypings = function(typings, options) {
     // Check if typings map differs from the previous value.
     var mapChanged = this.fileCache.isChanged(this.appId, arch, dtsMap);
     if (mapChanged) {
-      Logger.debug("typings of %s changed", arch);
+      Logger.event("typings changed", { arch: arch });
       typingsChanged = mapChanged;
     }
     this.fileCache.save(this.appId, arch, dtsMap);
@@ -95,10 +201,12 @@ SH.setTypings = function(typings, options) {
   this.typingsChanged = typingsChanged;
 }
 
+// Removed files are considered changed as well,
+// so that their dependents are re-evaluated.
 SH.isFileChanged = function(filePath) {
   var normPath = sourceHost.normalizePath(filePath);
   var file = this.files[normPath];
-  return file && file.changed;
+  return (file && file.changed) || !! this.removedFiles[normPath];
 };
 
 SH.hasFile = function(filePath) {
@@ -106,6 +214,52 @@ SH.hasFile = function(filePath) {
   return !! this.files[normPath];
 };
 
+// Saves dependencies of a file (modules, refFiles and refTypings)
+// and updates the reverse dependency index.
+SH.setDepsAndRefs = function(filePath, deps) {
+  var normPath = sourceHost.normalizePath(filePath);
+  _.each(getDepPaths(this.fileDeps[normPath]), function(depPath) {
+    var dependents = this.dependents.get(depPath);
+    if (dependents) dependents.delete(normPath);
+  }, this);
+
+  this.fileDeps[normPath] = deps;
+  _.each(getDepPaths(deps), function(depPath) {
+    if (! this.dependents.has(depPath)) {
+      this.dependents.set(depPath, new Set());
+    }
+    this.dependents.get(depPath).add(normPath);
+  }, this);
+};
+
+SH.getDependents = function(filePath) {
+  var normPath = sourceHost.normalizePath(filePath);
+  var dependents = this.dependents.get(normPath);
+  return dependents ? Array.from(dependents) : [];
+};
+
+// Returns changed files along with all files
+// that depend on them directly or transitively.
+SH.getAffectedFiles = function(filePaths) {
+  var affected = new Set();
+  var queue = _.map(filePaths, sourceHost.normalizePath);
+  while (queue.length) {
+    var filePath = queue.shift();
+    if (affected.has(filePath)) continue;
+
+    affected.add(filePath);
+    queue.push.apply(queue, this.getDependents(filePath));
+  }
+
+  return _.filter(Array.from(affected), this.hasFile, this);
+};
+
+function getDepPaths(deps) {
+  if (! deps) return [];
+
+  return _.union(deps.modules, deps.refFiles, deps.refTypings);
+}
+
 SH.isTypingsChanged = function() {
   return this.typingsChanged;
 };
@@ -130,10 +284,28 @@ SH.getScriptFileNames = function() {
   return _.keys(rootFilePaths);
 };
 
+/**
+ * Script versions identify file contents across all hosts,
+ * since services of different archs share the document registry,
+ * which takes source files with equal versions as the same.
+ * Hence, versions of root files are hashes of their contents,
+ * while versions of files read from disk are their mtime and size.
+ */
 SH.getScriptVersion = function(filePath) {
   var normPath = sourceHost.normalizePath(filePath);
-  return this.files[normPath] &&
-    this.files[normPath].version.toString();
+  if (this.files[normPath]) {
+    return this.files[normPath].hash;
+  }
+
+  var file = this.fileContentMap.get(filePath);
+  return file && file.mtime + ":" + file.size;
+};
+
+// Version of a root file in this host, which grows on each change.
+SH.getFileVersion = function(filePath) {
+  var normPath = sourceHost.normalizePath(filePath);
+  var file = this.files[normPath];
+  return file && file.version.toString();
 };
 
 SH.getScriptSnapshot = function(filePath) {
@@ -147,19 +319,90 @@ SH.getScriptSnapshot = function(filePath) {
 };
 
 SH.getFile = function(filePath) {
-  // Read node_modules files optimistically.
-  var fileContent = this.fileContentMap.get(filePath);
-  if (! fileContent) {
-    fileContent = ts.sys.readFile(filePath, "utf-8");
-    this.fileContentMap.set(filePath, fileContent);
+  // Read node_modules files optimistically,
+  // checkDiskFiles re-reads them if changed.
+  var file = this.fileContentMap.get(filePath);
+  if (! file) {
+    file = readDiskFile(filePath);
+    this.fileContentMap.set(filePath, file);
+    if (isDiskTypings(filePath)) {
+      this.diskFilesChanged = true;
+    }
+  }
+  return file.content;
+};
+
+var NODE_MODULES = /(^|\/)node_modules\//;
+var libDir = ts.getDirectoryPath(ts.getDefaultLibFilePath({}));
+
+// Declarations of node modules, e.g. node_modules/@types,
+// which can change with npm install.
+function isDiskTypings(filePath) {
+  return tsu.isTypings(filePath) &&
+    NODE_MODULES.test(filePath) &&
+    filePath.indexOf(libDir) !== 0;
+}
+
+function statOrNull(filePath) {
+  try {
+    return fs.statSync(filePath);
+  } catch (e) {
+    return null;
   }
-  return fileContent;
+}
+
+function getMtime(stat) {
+  return stat ? stat.mtime.getTime() : 0;
+}
+
+function getSize(stat) {
+  return stat ? stat.size : 0;
+}
+
+function getVersion(stat) {
+  return getMtime(stat) + ":" + getSize(stat);
+}
+
+function readDiskFile(filePath) {
+  var stat = statOrNull(filePath);
+  return {
+    content: stat ? ts.sys.readFile(filePath, "utf-8") : undefined,
+    mtime: getMtime(stat),
+    size: getSize(stat)
+  };
+}
+
+SH.setCustomTransformers = function(transformers) {
+  this.customTransformers = transformers;
+};
+
+SH.getCustomTransformers = function() {
+  return this.customTransformers;
 };
 
 SH.getCompilationSettings = function() {
   return this.options.compilerOptions;
 };
 
+// Line break of emitted code and code fix edits, which TypeScript
+// takes from the host, otherwise, defaults to CRLF on all platforms.
+// It's the newLine compiler option if set, then the one of
+// the format settings of the current request, or LF.
+SH.getNewLine = function() {
+  var compilerOptions = this.getCompilationSettings();
+  if (compilerOptions.newLine !== undefined) {
+    return ts.getNewLineCharacter(compilerOptions);
+  }
+
+  var formatSettings = this.formatSettings;
+  return (formatSettings && formatSettings.newLineCharacter) || "\n";
+};
+
+// Sets format settings of a request temporarily.
+SH.setFormatSettings = function(formatSettings) {
+  this.formatSettings = formatSettings;
+};
+
 SH.getDefaultLibFileName = function() {
   var libName = ts.getDefaultLibFilePath(
     this.getCompilationSettings());
@@ -169,7 +412,13 @@ SH.getDefaultLibFileName = function() {
 // Returns empty since we process for simplicity
 // file paths relative to the Meteor app.
 SH.getCurrentDirectory = function() {
-  return "";
+  return this.fullCurrentDirectory ? this.curDir : "";
+};
+
+// Makes the current dir absolute temporarily,
+// which some of the Language Service features need.
+SH.setFullCurrentDirectory = function(isFull) {
+  this.fullCurrentDirectory = isFull;
 };
 
 SH.useCaseSensitiveFileNames = function() {
@@ -7,26 +7,60 @@ var sourceHost = require("./files-source-host").sourceHost;
 var tsu = require("./ts-utils").ts;
 var assertProps = require("./utils").assertProps;
 
-function CompileService(serviceHost) {
+/**
+ * Wraps TypeScript Language Service of a Meteor architecture.
+ *
+ * @param serviceHost CompileServiceHost of the architecture.
+ * @param registry DocumentRegistry, which can be shared between
+ *  services to parse same files once. Source files are kept
+ *  in the registry per compiler settings.
+ */
+function CompileService(serviceHost, registry) {
   this.serviceHost = serviceHost;
-  this.service = ts.createLanguageService(serviceHost);
+  this.registry = registry || ts.createDocumentRegistry(
+    serviceHost.useCaseSensitiveFileNames(),
+    serviceHost.getCurrentDirectory());
+  this.service = ts.createLanguageService(serviceHost, this.registry);
 }
 
 exports.CompileService = CompileService;
 
 var CP = CompileService.prototype;
 
-CP.compile = function(filePath, moduleName) {
+CP.compile = function(filePath, moduleName, transformers, sourceMapOptions) {
   var sourceFile = this.getSourceFile(filePath);
   assert.ok(sourceFile);
 
+  var profileArgs = { filePath: filePath };
+
+  var checker = this.getTypeChecker();
+  var pdeps = Logger.newProfiler("get deps and refs", profileArgs);
+  var deps = tsu.getDepsAndRefs(sourceFile, checker,
+    this.serviceHost.getCompilationSettings());
+  pdeps.end();
+
+  // Replace module paths with rooted ones
+  // before custom after-transformers are applied.
+  var rootify = tsu.createRootifyTransformer(deps.mappings);
+  var emitTransformers = {
+    before: transformers && transformers.before,
+    after: [rootify].concat(transformers && transformers.after || [])
+  };
+
+  // Source files are shared between archs via the document registry,
+  // hence, the module name is set only for this emit.
+  var prevModuleName = sourceFile.moduleName;
   if (moduleName) {
     sourceFile.moduleName = moduleName;
   }
+  var result;
+  try {
+    result = this.getEmitOutput(filePath, emitTransformers);
+  } finally {
+    sourceFile.moduleName = prevModuleName;
+  }
 
-  var result = this.service.getEmitOutput(filePath);
-
-  var code, sourceMap;
+  var code, sourceMap, declaration;
   _.each(result.outputFiles, function(file) {
     if (tsu.normalizePath(filePath) !==
           tsu.normalizePath(file.name)) return;
@@ -35,19 +69,31 @@ CP.compile = function(filePath, moduleName) {
     if (tsu.isSourceMap(file.name)) {
       var source = sourceHost.get(filePath);
       sourceMap = tsu.prepareSourceMap(text, source, filePath);
+      var inputMap = sourceHost.getSourceMap(filePath);
+      if (inputMap) {
+        sourceMap = tsu.chainSourceMaps(sourceMap, inputMap);
+      }
+    } else if (tsu.isTypings(file.name)) {
+      declaration = text;
     } else {
       code = text;
     }
   }, this);
 
-  var checker = this.getTypeChecker();
-  var pcs = Logger.newProfiler("process csresult");
-  var deps = tsu.getDepsAndRefs(sourceFile, checker);
-  var meteorizedCode = this.rootifyPaths(code, deps.mappings); 
+  if (sourceMap && sourceMapOptions) {
+    sourceMap = tsu.layoutSourceMap(sourceMap, filePath, sourceMapOptions);
+    if (sourceMapOptions.inline) {
+      code = tsu.inlineSourceMap(code, sourceMap);
+      sourceMap = null;
+    }
+  }
+
+  var pcs = Logger.newProfiler("process csresult", profileArgs);
   var csResult = createCSResult({
-    code: meteorizedCode,
+    code: code,
     sourceMap: sourceMap,
-    version: this.serviceHost.getScriptVersion(filePath),
+    declaration: declaration,
+    version: this.serviceHost.getFileVersion(filePath),
     isExternal: ts.isExternalModule(sourceFile),
     dependencies: deps,
     diagnostics: this.getDiagnostics(filePath)
@@ -57,6 +103,23 @@ CP.compile = function(filePath, moduleName) {
   return csResult;
 };
 
+// Emits a file applying custom before/after transformers,
+// which LanguageService takes from the host.
+CP.getEmitOutput = function(filePath, transformers) {
+  this.serviceHost.setCustomTransformers(transformers);
+  try {
+    return this.service.getEmitOutput(filePath);
+  } finally {
+    this.serviceHost.setCustomTransformers(null);
+  }
+};
+
+// Releases the program and source files
+// acquired from the document registry.
+CP.dispose = function() {
+  this.service.dispose();
+};
+
 CP.getHost = function() {
   return this.serviceHost;
 };
@@ -72,7 +135,8 @@ CP.getSourceFile = function(filePath) {
 
 CP.getDepsAndRefs = function(filePath) {
   var checker = this.getTypeChecker();
-  return tsu.getDepsAndRefs(this.getSourceFile(filePath), checker);
+  return tsu.getDepsAndRefs(this.getSourceFile(filePath), checker,
+    this.serviceHost.getCompilationSettings());
 };
 
 CP.getRefTypings = function(filePath) {
@@ -91,35 +155,228 @@ CP.getDiagnostics = function(filePath) {
   )
 };
 
-CP.rootifyPaths = function(code, mappings) {
-  function buildPathRegExp(modulePath) {
-    var regExp = new RegExp("(require\\(\"|\')(" + modulePath + ")(\"|\'\\))", "g");
-    return regExp;
+// Returns program-level diagnostics, i.e.,
+// compiler options and global errors that don't belong to any file.
+CP.getGlobalDiagnostics = function() {
+  return tsu.flattenDiagnostics(
+    this.service.getCompilerOptionsDiagnostics(), true);
+};
+
+CP.getProjectDiagnostics = function() {
+  var fileDiagnostics = {};
+  var filePaths = this.serviceHost.getScriptFileNames();
+  _.each(filePaths, function(filePath) {
+    if (! this.getSourceFile(filePath)) return;
+
+    fileDiagnostics[filePath] = new tsu.TsDiagnostics(
+      this.getDiagnostics(filePath));
+  }, this);
+
+  return new tsu.ProjectDiagnostics(
+    this.getGlobalDiagnostics(), fileDiagnostics);
+};
+
+// Editor features, e.g. for tooling around the build.
+// File paths of the results are rooted, as in the emitted code.
+
+CP.getCompletions = function(filePath, pos) {
+  var info = this.service.getCompletionsAtPosition(
+    sourceHost.normalizePath(filePath), pos);
+  if (! info) return null;
+
+  return {
+    isMemberCompletion: info.isMemberCompletion,
+    entries: _.map(info.entries, function(entry) {
+      return _.pick(entry, "name", "kind", "kindModifiers", "sortText");
+    })
+  };
+};
+
+CP.getQuickInfo = function(filePath, pos) {
+  var info = this.service.getQuickInfoAtPosition(
+    sourceHost.normalizePath(filePath), pos);
+  if (! info) return null;
+
+  return {
+    kind: info.kind,
+    kindModifiers: info.kindModifiers,
+    textSpan: info.textSpan,
+    text: ts.displayPartsToString(info.displayParts),
+    documentation: ts.displayPartsToString(info.documentation)
+  };
+};
+
+CP.getDefinition = function(filePath, pos) {
+  var definitions = this.service.getDefinitionAtPosition(
+    sourceHost.normalizePath(filePath), pos);
+
+  return _.map(definitions, function(definition) {
+    return _.extend(tsu.createFileSpan(definition.fileName, definition.textSpan),
+      _.pick(definition, "kind", "name", "containerName"));
+  });
+};
+
+CP.findReferences = function(filePath, pos) {
+  var symbols = this.service.findReferences(
+    sourceHost.normalizePath(filePath), pos);
+
+  return _.map(symbols, function(symbol) {
+    var definition = symbol.definition;
+    return {
+      definition: _.extend(
+        tsu.createFileSpan(definition.fileName, definition.textSpan),
+        _.pick(definition, "kind", "name", "containerName")),
+      references: _.map(symbol.references, function(reference) {
+        return _.extend(
+          tsu.createFileSpan(reference.fileName, reference.textSpan),
+          _.pick(reference, "isWriteAccess", "isDefinition"));
+      })
+    };
+  });
+};
+
+// Refactorings and code fixes, which return text edits
+// keyed by rooted file paths, see tsu.createFileEdits.
+
+/**
+ * Gets fixes of a diagnostic reported for a file,
+ * each with a description and edits.
+ */
+CP.getCodeFixes = function(filePath, diagnostic, formatOptions) {
+  var normPath = sourceHost.normalizePath(filePath);
+  var sourceFile = this.getSourceFile(normPath);
+  // Diagnostics of the package have 1-based lines and columns.
+  var pos = ts.getPositionOfLineAndCharacter(sourceFile,
+    diagnostic.line - 1, diagnostic.column - 1);
+
+  // Import fixes of TypeScript 2.3 resolve type roots against
+  // the host's current dir, which should be absolute for that.
+  // The program, already built above, is re-created by the call,
+  // but with the dir the service got on creation, so source files
+  // are still acquired from the registry by relative paths.
+  // New lines of the edits are taken from the host.
+  var formatSettings = tsu.getFormatCodeSettings(formatOptions);
+  this.serviceHost.setFullCurrentDirectory(true);
+  this.serviceHost.setFormatSettings(formatSettings);
+  var actions;
+  try {
+    actions = this.service.getCodeFixesAtPosition(normPath, pos, pos,
+      [diagnostic.code], formatSettings);
+  } finally {
+    this.serviceHost.setFullCurrentDirectory(false);
+    this.serviceHost.setFormatSettings(null);
   }
 
-  mappings = mappings.filter(module => module.resolved && !module.external);
-  for (var module of mappings) {
-    var usedPath = module.modulePath;
-    var resolvedPath = module.resolvedPath;
-
-    // Fix some weird v2.1.x bug where
-    // LanguageService converts dotted paths
-    // to relative in the code.
-    var regExp = buildPathRegExp(resolvedPath);
-    code = code.replace(regExp, function(match, p1, p2, p3, offset) {
-      return p1 + tsu.getRootedPath(resolvedPath) + p3;
-    });
-
-    // Skip path replacement for dotted paths.
-    if (! usedPath.startsWith(".")) {
-      var regExp = buildPathRegExp(usedPath);
-      code = code.replace(regExp, function(match, p1, p2, p3, offset) {
-        return p1 + tsu.getRootedPath(resolvedPath) + p3;
-      });
-    }
+  return _.map(actions, function(action) {
+    return {
+      description: action.description,
+      edits: tsu.createFileEdits(action.changes)
+    };
+  });
+};
+
+CP.getRenameEdits = function(filePath, pos, newName) {
+  var normPath = sourceHost.normalizePath(filePath);
+  var info = this.service.getRenameInfo(normPath, pos);
+  if (! info.canRename) {
+    throw new Error(info.localizedErrorMessage);
   }
-  return code;
-}
+
+  var locations = this.service.findRenameLocations(normPath, pos, false, false);
+  return tsu.createFileEdits(_.map(locations, function(location) {
+    return {
+      fileName: location.fileName,
+      textChanges: [{ span: location.textSpan, newText: newName }]
+    };
+  }));
+};
+
+/**
+ * Sorts imports at the top of a file by module paths.
+ * TypeScript 2.3 has no organizeImports, hence, unused imports
+ * are not removed and imports with comments are left as is.
+ * Side-effect imports, e.g. import "./polyfill", keep their places,
+ * since evaluation order matters, only imports between them are sorted.
+ */
+CP.organizeImports = function(filePath, formatOptions) {
+  var normPath = sourceHost.normalizePath(filePath);
+  if (this.service.organizeImports) {
+    return tsu.createFileEdits(this.service.organizeImports(
+      { type: "file", fileName: normPath },
+      tsu.getFormatCodeSettings(formatOptions)));
+  }
+
+  var sourceFile = this.getSourceFile(normPath);
+  var imports = [];
+  var statements = sourceFile.statements;
+  for (var i = 0; i < statements.length; i++) {
+    if (statements[i].kind !== ts.SyntaxKind.ImportDeclaration) break;
+    imports.push(statements[i]);
+  }
+
+  var text = sourceFile.text;
+  var hasComments = _.some(_.rest(imports), function(node) {
+    return !! ts.getLeadingCommentRanges(text, node.pos);
+  });
+  var sorted = [];
+  var group = [];
+  function addGroup() {
+    sorted = sorted.concat(_.sortBy(group, function(node) {
+      return node.moduleSpecifier.text;
+    }));
+    group = [];
+  }
+  _.each(imports, function(node) {
+    if (node.importClause) {
+      group.push(node);
+      return;
+    }
+    addGroup();
+    sorted.push(node);
+  });
+  addGroup();
+  var isSorted = _.every(sorted, function(node, index) {
+    return node === imports[index];
+  });
+  if (hasComments || isSorted) return {};
+
+  var start = imports[0].getStart(sourceFile);
+  var end = _.last(imports).end;
+  var newText = _.map(sorted, function(node) {
+    return text.slice(node.getStart(sourceFile), node.end);
+  }).join(tsu.getFormatCodeSettings(formatOptions).newLineCharacter);
+
+  var edits = {};
+  edits[tsu.getRootedPath(normPath)] = [{
+    start: start,
+    length: end - start,
+    newText: newText
+  }];
+  return edits;
+};
+
+/**
+ * Formats a file, returns formatted text
+ * along with edits to apply to the original text.
+ */
+CP.format = function(filePath, formatOptions) {
+  var normPath = sourceHost.normalizePath(filePath);
+  var changes = this.service.getFormattingEditsForDocument(
+    normPath, tsu.getFormatCodeSettings(formatOptions));
+
+  var edits = _.map(changes, function(change) {
+    return {
+      start: change.span.start,
+      length: change.span.length,
+      newText: change.newText
+    };
+  });
+  var text = this.getSourceFile(normPath).text;
+  return {
+    text: tsu.applyTextEdits(text, edits),
+    edits: edits
+  };
+};
 
 function createCSResult(result) {
   assertProps(result, [
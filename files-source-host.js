@@ -13,10 +13,16 @@ SH.setSource = function(fileSource) {
   this.fileSource = fileSource;
 };
 
+SH.getSource = function() {
+  return this.fileSource;
+};
+
 SH.get = function(filePath) {
   if (this.fileSource) {
     var source = this.fileSource(filePath);
     if (_.isString(source)) return source;
+    // Generated content can come with its source map.
+    if (source && _.isString(source.content)) return source.content;
   }
 
   if (filesMap.contains(filePath)) {
@@ -26,6 +32,17 @@ SH.get = function(filePath) {
   return null;
 };
 
+// Gets a source map of the file content if it's been generated,
+// e.g. by a preprocessor, which maps it to the authored file.
+SH.getSourceMap = function(filePath) {
+  if (this.fileSource) {
+    var source = this.fileSource(filePath);
+    if (source && source.sourceMap) return source.sourceMap;
+  }
+
+  return null;
+};
+
 SH.normalizePath = function(filePath) {
   if (! filePath) return null;
   var normPath = filePath.replace(ROOTED, '');
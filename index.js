@@ -7,6 +7,7 @@ var _ = require("underscore");
 var getDefaultCompilerOptions = require("./options").getDefaultCompilerOptions;
 var convertCompilerOptionsOrThrow = require("./options").convertCompilerOptionsOrThrow;
 var validateTsConfig = require("./options").validateTsConfig;
+var loadTsConfig = require("./options").loadTsConfig;
 var presetCompilerOptions = require("./options").presetCompilerOptions;
 var CompileService = require("./compile-service").CompileService;
 var createCSResult = require("./compile-service").createCSResult;
@@ -14,23 +15,92 @@ var ServiceHost = require("./compile-service-host").CompileServiceHost;
 var sourceHost = require("./files-source-host").sourceHost;
 var CompileCache = require("./cache").CompileCache;
 var FileHashCache = require("./cache").FileHashCache;
+var pruneCacheDir = require("./cache").pruneCache;
+var pruneCacheThrottled = require("./cache").pruneCacheThrottled;
+var storages = require("./cache-storage");
+var createStorage = storages.createStorage;
 var Logger = require("./logger").Logger;
 var deepHash = require("./utils").deepHash;
 var utils = require("./utils");
 var tsu = require("./ts-utils").ts;
 
-var compileCache, fileHashCache;
+var compileCache, fileHashCache, storageDir;
+
+/**
+ * Sets a storage to persist the cache to.
+ *
+ * @param storage Either a storage object (see cache-storage.js for
+ *  the interface) or a name of the predefined one: memory, fs or tarball.
+ *  Defaults to TYPESCRIPT_CACHE_STORAGE or fs.
+ * @param cacheDir Directory of the fs and tarball storages.
+ */
+function setCacheStorage(storage, cacheDir) {
+  if (! storage || _.isString(storage)) {
+    storage = createStorage(storage, cacheDir);
+  }
+
+  compileCache = new CompileCache(storage);
+  fileHashCache = new FileHashCache(storage);
+  storageDir = cacheDir;
+
+  // Opportunistically keep the cache dir within default limits.
+  if (compileCache.cacheDir) {
+    pruneCacheThrottled(compileCache.cacheDir);
+  }
+};
+
+exports.setCacheStorage = setCacheStorage;
+
 function setCacheDir(cacheDir) {
-  if (compileCache && compileCache.cacheDir === cacheDir) {
+  if (compileCache && (compileCache.cacheDir === cacheDir ||
+      storageDir === cacheDir)) {
     return;
   }
 
-  compileCache = new CompileCache(cacheDir);
-  fileHashCache = new FileHashCache(cacheDir);
+  // Keeps the storage of TYPESCRIPT_CACHE_STORAGE if set.
+  setCacheStorage(null, cacheDir);
 };
 
 exports.setCacheDir = setCacheDir;
 
+exports.MemoryStorage = storages.MemoryStorage;
+exports.FileStorage = storages.FileStorage;
+exports.TarballStorage = storages.TarballStorage;
+
+/**
+ * Removes expired and least recently used files
+ * from the disk cache.
+ *
+ * @param options Object with limits:
+ *    - maxBytes: max size of the cache in bytes
+ *    - maxAgeDays: max age of a cache entry in days
+ */
+exports.pruneCache = function pruneCache(options) {
+  lazyInit();
+
+  // Nothing to prune in memory.
+  if (! compileCache.cacheDir) return null;
+
+  return pruneCacheDir(compileCache.cacheDir, options);
+};
+
+/**
+ * Gets usage statistics of the compile cache
+ * since the cache was set or statistics were reset.
+ * See CacheStats for the list of counters.
+ */
+exports.getCacheStats = function getCacheStats() {
+  lazyInit();
+
+  return compileCache.getStats();
+};
+
+exports.resetCacheStats = function resetCacheStats() {
+  lazyInit();
+
+  compileCache.resetStats();
+};
+
 function getConvertedDefault(arch) {
   return convertCompilerOptionsOrThrow(
     getDefaultCompilerOptions(arch));
@@ -66,23 +136,86 @@ function defaultCompilerOptions(arch, opt) {
 var serviceHost;
 function lazyInit() {
   if (! compileCache) {
-    setCacheDir();
+    setCacheStorage();
   }
 }
 
 // A map of TypeScript Language Services
 // per each Meteor architecture.
+// Services share one document registry, so that
+// source files (including lib files) are parsed once
+// for all architectures with same compiler settings.
 var serviceMap = {};
+var docRegistry = ts.createDocumentRegistry(
+  /* useCaseSensitiveFileNames */ true, "");
 function getCompileService(arch) {
   if (! arch) arch = "global";
-  if (serviceMap[arch]) return serviceMap[arch];
 
-  var serviceHost = new ServiceHost(fileHashCache);
-  var service = new CompileService(serviceHost);
-  serviceMap[arch] = service;
+  var service = serviceMap[arch];
+  if (! service) {
+    var serviceHost = new ServiceHost(fileHashCache, arch);
+    service = new CompileService(serviceHost, docRegistry);
+    serviceMap[arch] = service;
+  }
+  service.lastUsed = Date.now();
   return service;
 }
 
+// Releases the Language Service of an architecture
+// along with files it keeps. Service is created again
+// when the architecture is built next time.
+function disposeService(arch) {
+  if (! arch) arch = "global";
+
+  var service = serviceMap[arch];
+  if (! service) return false;
+
+  service.dispose();
+  delete serviceMap[arch];
+  Logger.event("service disposed", { arch: arch });
+  return true;
+}
+
+function resetServices() {
+  _.each(_.keys(serviceMap), disposeService);
+}
+
+// Max heap size in bytes, after which services
+// of idle architectures are disposed.
+var memoryBudget = Number(process.env.TYPESCRIPT_MEMORY_BUDGET) || null;
+
+// Time in ms a service should not be used to be considered idle.
+// Archs rebuilt on each cycle stay below it, so their services,
+// which are needed again soon, are not re-created over and over.
+var DEFAULT_IDLE_TIME = 60 * 1000;
+var minIdleTime = DEFAULT_IDLE_TIME;
+
+function setMemoryBudget(maxBytes, idleTime) {
+  memoryBudget = maxBytes || null;
+  minIdleTime = _.isNumber(idleTime) ? idleTime : DEFAULT_IDLE_TIME;
+}
+
+// Disposes the least recently used idle service (except the active one)
+// if the heap exceeds the budget. Disposed memory is reclaimed
+// only after GC, so one service is disposed per check.
+function checkMemoryBudget(activeArch) {
+  if (! memoryBudget) return;
+  if (process.memoryUsage().heapUsed <= memoryBudget) return;
+
+  if (! activeArch) activeArch = "global";
+  var now = Date.now();
+  var idleArchs = _.filter(_.keys(serviceMap), function(arch) {
+    return arch !== activeArch &&
+      now - serviceMap[arch].lastUsed >= minIdleTime;
+  });
+  if (! idleArchs.length) return;
+
+  var lruArch = _.min(idleArchs, function(arch) {
+    return serviceMap[arch].lastUsed;
+  });
+  disposeService(lruArch);
+}
+
 /**
  * Class that represents an incremental TypeScript build (compilation).
  * For the typical usage in a Meteor compiler plugin,
@@ -93,11 +226,28 @@ function getCompileService(arch) {
  * @param getFileContent Method that takes a file path
  *  and returns that file's content. To be used to pass file contents
  *  from a Meteor compiler plugin to the TypeScript compiler.
+ *  If the content has been generated, e.g. by a preprocessor,
+ *  it can return { content, sourceMap }, then the output
+ *  source map is chained with that input map.
  * @param options Object with the options of the TypeSctipt build.
  *   Available options:
  *    - compilerOptions: TypeScript compiler options
  *    - arch: Meteor file architecture
  *    - useCache: whether to use cache 
+ *    - transformers: TypeScript custom transformers to apply
+ *      during the emit, i.e., { before: [...], after: [...] }.
+ *      Since transformers are part of the cache key, each transformer
+ *      factory should have a cacheKey property to identify it
+ *      along with its configuration, otherwise, the cache is skipped.
+ *    - sourceMapOptions: layout of emitted source maps:
+ *       - sourceRoot: sourceRoot of the maps, which sources
+ *         relative to the app are resolved against
+ *       - relativeSources: whether sources are relative
+ *         to the emitted file's directory rather than to the app,
+ *         can't be combined with sourceRoot
+ *       - sourcesContent: whether to embed sources, true by default
+ *       - inline: whether to inline maps into the code as data URIs,
+ *         in which case results have no sourceMap
  */
 class TSBuild {
   constructor(filePaths, getFileContent, options) {
@@ -118,63 +268,153 @@ class TSBuild {
       resOptions.compilerOptions);
 
     this.options = resOptions;
+    this.filePaths = filePaths;
+    this.getFileContent = getFileContent;
+
+    checkMemoryBudget(this.serviceKey);
 
     sourceHost.setSource(getFileContent);
 
-    var pset = Logger.newProfiler("set files");
-    var compileService = getCompileService(resOptions.arch);
-    var serviceHost = compileService.getHost();
+    var pset = Logger.newProfiler("set files", { arch: resOptions.arch });
+    var compileService = getCompileService(this.serviceKey);
+    this.serviceHost = compileService.getHost();
     if (filePaths) {
-      serviceHost.setFiles(filePaths, resOptions);
+      this.serviceHost.setFiles(filePaths, resOptions);
     }
     pset.end();
   }
 
+  // Key of the build's service, i.e. its architecture.
+  get serviceKey() {
+    return this.options.arch;
+  }
+
+  // Gets the service of the build's architecture.
+  // If the service has been disposed since the build was created,
+  // files of the build are set to the new service.
+  getCompileService() {
+    var compileService = getCompileService(this.serviceKey);
+    var serviceHost = compileService.getHost();
+    if (serviceHost !== this.serviceHost) {
+      Logger.debug("restore files of %s", this.options.arch);
+      // Source can be set by a build of another arch since then.
+      var prevSource = sourceHost.getSource();
+      sourceHost.setSource(this.getFileContent);
+      if (this.filePaths) {
+        serviceHost.setFiles(this.filePaths, this.options);
+      }
+      sourceHost.setSource(prevSource);
+      this.serviceHost = serviceHost;
+    }
+    return compileService;
+  }
+
+  /**
+   * Updates content of a root file, e.g. edited in an editor,
+   * which is cheaper than a new build that checks all files.
+   * Content is read with the build's getFileContent.
+   */
+  updateFile(filePath) {
+    var serviceHost = this.getCompileService().getHost();
+    if (! serviceHost.hasFile(filePath))
+      throw new Error("File " + filePath + " not found");
+
+    sourceHost.setSource(this.getFileContent);
+    serviceHost.updateFile(filePath, this.options.arch);
+  }
+
+  /**
+   * Disposes the Language Service of an architecture
+   * (all services if arch is not set) to release memory.
+   * Existing builds re-create services lazily.
+   */
+  static dispose(arch) {
+    if (arch === undefined) {
+      resetServices();
+      return;
+    }
+    disposeService(arch);
+  }
+
+  static resetServices() {
+    resetServices();
+  }
+
+  /**
+   * Sets max heap size in bytes (TYPESCRIPT_MEMORY_BUDGET by default).
+   * When it's exceeded, services of idle architectures, i.e. not used
+   * for idleTime ms (1 minute by default), are disposed one by one,
+   * starting from the least recently used.
+   */
+  static setMemoryBudget(maxBytes, idleTime) {
+    setMemoryBudget(maxBytes, idleTime);
+  }
+
   emit(filePath, moduleName) {
     Logger.debug("emit file %s", filePath);
 
     var options = this.options;
-    var compileService = getCompileService(options.arch);
+    var compileService = this.getCompileService();
 
     var serviceHost = compileService.getHost();
     if (! serviceHost.hasFile(filePath))
       throw new Error("File " + filePath + " not found");
 
     var useCache = options && options.useCache;
+    var profileArgs = { filePath: filePath, arch: options.arch };
 
     // Prepare file options which besides general ones
     // should contain a module name. Omit arch to avoid
     // re-compiling same files aimed for diff arch.
-    var noArchOpts = _.omit(options, 'arch', 'useCache');
+    var noArchOpts = _.omit(options, 'arch', 'useCache', 'transformers');
     var csOptions = {
       options: noArchOpts,
       moduleName: moduleName
     };
 
+    var transformers = options.transformers;
+    var transformersKey = transformers && getTransformersKey(transformers);
+    if (transformersKey) {
+      csOptions.transformers = transformersKey;
+    }
+    // Output of transformers can't be cached without their keys.
+    var cacheable = ! transformers || !! transformersKey;
+
+    var inputSourceMap = sourceHost.getSourceMap(filePath);
+    if (inputSourceMap) {
+      csOptions.inputSourceMap = inputSourceMap;
+    }
+
     function compile() {
-      var pcomp = Logger.newProfiler("compile " + filePath);
-      var result = compileService.compile(filePath, moduleName);
+      var pcomp = Logger.newProfiler("compile", profileArgs);
+      var result = compileService.compile(filePath, moduleName,
+        transformers, options.sourceMapOptions);
       pcomp.end();
+      serviceHost.setDepsAndRefs(filePath, result.dependencies);
+      serviceHost.saveDiskFiles();
       return result;
     }
 
-    if (useCache === false) {
+    if (useCache === false || ! cacheable) {
       var result = compile();
-      compileCache.save(filePath, csOptions, result);
+      if (cacheable) {
+        compileCache.save(filePath, csOptions, result, options.arch);
+      }
       return result;
     }
 
-    var pget = Logger.newProfiler("compileCache get");
+    var pget = Logger.newProfiler("compileCache get", profileArgs);
     var result = compileCache.get(filePath, csOptions, function(cacheResult) {
       if (! cacheResult) {
-        Logger.debug("cache miss: %s", filePath);
+        Logger.event("cache miss", { filePath: filePath, arch: options.arch });
         return compile();
       }
 
       var csResult = createCSResult(cacheResult);
       var tsDiag = csResult.diagnostics;
+      serviceHost.setDepsAndRefs(filePath, csResult.dependencies);
 
-      var prefs = Logger.newProfiler("refs check");
+      var prefs = Logger.newProfiler("refs check", profileArgs);
       var refsChanged = isRefsChanged(serviceHost,
         filePath, csResult.dependencies);
       prefs.end();
@@ -182,7 +422,8 @@ class TSBuild {
       // Referenced files have changed, which may need recompilation in some cases.
       // See https://github.com/Urigo/angular2-meteor/issues/102#issuecomment-191411701
       if (refsChanged === RefsType.FILES) {
-        Logger.debug("recompile: %s", filePath);
+        Logger.event("recompile", { filePath: filePath, arch: options.arch });
+        compileCache.stats.recompiles++;
         return compile();
       }
 
@@ -192,8 +433,12 @@ class TSBuild {
       // Second case: dependency modules or typings have changed.
       var unresolved = tsDiag.hasUnresolvedModules();
       if (unresolved || refsChanged !== RefsType.NONE) {
-        Logger.debug("diagnostics re-evaluation: %s", filePath);
-        var pdiag = Logger.newProfiler("diags update");
+        Logger.event("diagnostics re-evaluation", {
+          filePath: filePath,
+          arch: options.arch
+        });
+        compileCache.stats.diagnosticsUpdates++;
+        var pdiag = Logger.newProfiler("diags update", profileArgs);
         csResult.upDiagnostics(
           compileService.getDiagnostics(filePath));
         pdiag.end();
@@ -201,13 +446,181 @@ class TSBuild {
       }
 
       // Cached result is up to date, no action required.
-      Logger.debug("file from cached: %s", filePath);
+      Logger.event("cache hit", { filePath: filePath, arch: options.arch });
       return null;
-    });
+    }, options.arch);
     pget.end();
+    // Declarations could be read to update diagnostics.
+    serviceHost.saveDiskFiles();
 
     return result;
   }
+
+  // Gets the service of the build's architecture
+  // to query a file of the build.
+  getFileService(filePath) {
+    var compileService = this.getCompileService();
+    if (! compileService.getHost().hasFile(filePath))
+      throw new Error("File " + filePath + " not found");
+
+    return compileService;
+  }
+
+  /**
+   * Gets completions at a position of a file.
+   *
+   * @param filePath Path of the file, rooted or not.
+   * @param pos Position of the file's text (offset).
+   * @returns Object with isMemberCompletion and entries,
+   *  each with name, kind, kindModifiers and sortText, or null.
+   */
+  getCompletions(filePath, pos) {
+    return this.getFileService(filePath).getCompletions(filePath, pos);
+  }
+
+  /**
+   * Gets a quick info (i.e., hover) at a position of a file
+   * with kind, textSpan, text and documentation, or null.
+   */
+  getQuickInfo(filePath, pos) {
+    return this.getFileService(filePath).getQuickInfo(filePath, pos);
+  }
+
+  /**
+   * Gets definitions of a symbol at a position of a file.
+   * Each definition has rooted filePath, start, length, kind, name
+   * and containerName.
+   */
+  getDefinition(filePath, pos) {
+    return this.getFileService(filePath).getDefinition(filePath, pos);
+  }
+
+  /**
+   * Finds references of a symbol at a position of a file
+   * across all files of the build's architecture.
+   * Each found symbol has a definition and references
+   * with rooted filePath, start and length.
+   */
+  findReferences(filePath, pos) {
+    return this.getFileService(filePath).findReferences(filePath, pos);
+  }
+
+  /**
+   * Gets fixes of a diagnostic, e.g. adding a missing import.
+   *
+   * @param filePath Path of the file with the diagnostic.
+   * @param diagnostic Diagnostic as reported by emit or getDiagnostics.
+   * @param formatOptions TypeScript format settings of the inserted code.
+   * @returns Array of fixes, each with a description and edits,
+   *  i.e., a map of rooted file paths to arrays of
+   *  { start, length, newText } to apply to the files.
+   */
+  getCodeFixes(filePath, diagnostic, formatOptions) {
+    return this.getFileService(filePath)
+      .getCodeFixes(filePath, diagnostic, formatOptions);
+  }
+
+  /**
+   * Gets edits to rename a symbol at a position of a file
+   * across all files of the build's architecture.
+   * Throws if the symbol can't be renamed, e.g. a lib one.
+   */
+  getRenameEdits(filePath, pos, newName) {
+    return this.getFileService(filePath)
+      .getRenameEdits(filePath, pos, newName);
+  }
+
+  /**
+   * Gets edits to sort imports of a file by module paths,
+   * keeping side-effect imports in place. Unused imports are not removed,
+   * since TypeScript 2.3 lacks organizeImports of later versions.
+   */
+  organizeImports(filePath, formatOptions) {
+    return this.getFileService(filePath)
+      .organizeImports(filePath, formatOptions);
+  }
+
+  /**
+   * Formats a file with the Language Service's formatter.
+   *
+   * @param filePath Path of the file.
+   * @param formatOptions TypeScript format settings, e.g. indentSize,
+   *  2 spaces indentation by default.
+   * @returns Object with the formatted text and edits,
+   *  i.e., an array of { start, length, newText }, to get it.
+   */
+  format(filePath, formatOptions) {
+    return this.getFileService(filePath).format(filePath, formatOptions);
+  }
+
+  /**
+   * Gets files that were removed from the build's architecture
+   * since the previous build, i.e., deleted or renamed files.
+   */
+  getRemovedFiles() {
+    return this.getCompileService().getHost().getRemovedFiles();
+  }
+
+  /**
+   * Gets files that need to be re-emitted when given files change,
+   * i.e., the files themselves and all files that depend on them
+   * directly or transitively through imported modules and references.
+   * Dependencies are known only for files emitted before.
+   *
+   * @param changedPaths Paths of the changed files.
+   * @returns Array of file paths.
+   */
+  getAffectedFiles(changedPaths) {
+    var compileService = this.getCompileService();
+    return compileService.getHost().getAffectedFiles(changedPaths);
+  }
+
+  /**
+   * Type-checks all root files of the build's architecture.
+   * Besides diagnostics of each file, the report contains
+   * program-level errors like wrong compiler options
+   * or missing typings, which are not bound to any file.
+   *
+   * @returns ProjectDiagnostics with globalErrors, a map
+   *  of file paths to their diagnostics in files, and hasErrors method.
+   */
+  getDiagnostics() {
+    Logger.debug("get project diagnostics");
+
+    var compileService = this.getCompileService();
+
+    var pdiag = Logger.newProfiler("project diagnostics", {
+      arch: this.options.arch
+    });
+    var diagnostics = compileService.getProjectDiagnostics();
+    pdiag.end();
+    compileService.getHost().saveDiskFiles();
+
+    return diagnostics;
+  }
+}
+
+// Functions are ignored by deepHash, hence, transformers
+// are identified by their cacheKey properties. Source code of a factory
+// doesn't identify it, since closures of one factory function
+// can be configured differently. Returns null if any key is missing.
+function getTransformersKey(transformers) {
+  var factories = _.union(transformers.before, transformers.after);
+  if (! _.every(factories, function(factory) {
+    return !! factory.cacheKey;
+  })) {
+    Logger.debug("transformers have no cacheKey, cache is skipped");
+    return null;
+  }
+
+  function toKeys(factories) {
+    return _.pluck(factories, "cacheKey");
+  }
+
+  return {
+    before: toKeys(transformers.before),
+    after: toKeys(transformers.after)
+  };
 }
 
 var RefsType = {
@@ -262,6 +675,14 @@ function isRefsChanged(serviceHost, filePath, refs) {
 
 exports.TSBuild = TSBuild;
 
+// Build of a single file for compile(), which has its own service
+// so that it doesn't evict root files of the architecture's builds.
+class FileBuild extends TSBuild {
+  get serviceKey() {
+    return "compile:" + (this.options.arch || "global");
+  }
+}
+
 exports.compile = function compile(fileContent, options) {
   if (typeof fileContent !== "string") {
     throw new Error("fileContent should be a string");
@@ -283,7 +704,7 @@ exports.compile = function compile(fileContent, options) {
     }
   }
 
-  var newBuild = new TSBuild([optPath], getFileContent, options);
+  var newBuild = new FileBuild([optPath], getFileContent, options);
   return newBuild.emit(optPath, moduleName);
 };
 
@@ -295,7 +716,9 @@ var validOptions = {
   "moduleName": "String",
   "typings": "Array",
   "arch": "String",
-  "useCache": "Boolean"
+  "useCache": "Boolean",
+  "transformers": "Object",
+  "sourceMapOptions": "Object"
 };
 var validOptionsMsg = "Valid options are " +
   "compilerOptions, filePath, moduleName, and typings.";
@@ -324,6 +747,14 @@ function validateAndConvertOptions(options) {
     }
   }
 
+  if (options.transformers) {
+    validateTransformers(options.transformers);
+  }
+
+  if (options.sourceMapOptions) {
+    validateSourceMapOptions(options.sourceMapOptions);
+  }
+
   var resOptions = _.clone(options);
   // Validate and convert compilerOptions.
   if (options.compilerOptions) {
@@ -334,10 +765,58 @@ function validateAndConvertOptions(options) {
   return resOptions;
 }
 
+function validateTransformers(transformers) {
+  for (var stage in transformers) {
+    if (stage !== "before" && stage !== "after") {
+      throw new Error("Unknown transformers stage: " + stage + ".\n" +
+        "Valid stages are before and after.");
+    }
+
+    var factories = transformers[stage];
+    if (! _.isArray(factories) || ! _.every(factories, _.isFunction)) {
+      throw new Error("transformers." + stage +
+        " should be an array of functions");
+    }
+  }
+}
+
+var validSourceMapOptions = {
+  "sourceRoot": "String",
+  "relativeSources": "Boolean",
+  "sourcesContent": "Boolean",
+  "inline": "Boolean"
+};
+
+function validateSourceMapOptions(sourceMapOptions) {
+  for (var option in sourceMapOptions) {
+    var type = validSourceMapOptions[option];
+    if (type === undefined) {
+      throw new Error("Unknown source map option: " + option + ".\n" +
+        "Valid source map options are " +
+        _.keys(validSourceMapOptions).join(", ") + ".");
+    }
+
+    var value = sourceMapOptions[option];
+    if (value !== undefined && value.constructor.name !== type) {
+      throw new Error("sourceMapOptions." + option +
+        " should be of type " + type);
+    }
+  }
+
+  // Consumers resolve sources against sourceRoot,
+  // hence, sources relative to the emitted file break.
+  if (sourceMapOptions.relativeSources && sourceMapOptions.sourceRoot) {
+    throw new Error("sourceMapOptions.relativeSources " +
+      "can't be combined with sourceRoot");
+  }
+}
+
 exports.validateAndConvertOptions = validateAndConvertOptions;
 
 exports.validateTsConfig = validateTsConfig;
 
+exports.loadTsConfig = loadTsConfig;
+
 exports.getDefaultOptions = function getDefaultOptions(arch) {
   return {
     compilerOptions: getDefaultCompilerOptions(arch)
@@ -345,3 +824,12 @@ exports.getDefaultOptions = function getDefaultOptions(arch) {
 }
 
 exports.getExcludeRegExp = tsu.getExcludeRegExp;
+
+// Logger to configure levels, format and sinks of the package's logs.
+exports.Logger = Logger;
+exports.ConsoleSink = require("./logger").ConsoleSink;
+exports.FileSink = require("./logger").FileSink;
+exports.MemorySink = require("./logger").MemorySink;
+
+// Watch mode, requires the exports above.
+exports.Watcher = require("./watcher").Watcher;
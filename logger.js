@@ -1,62 +1,399 @@
 var util = require("util");
+var fs = require("fs");
+var _ = require("underscore");
+
+// Named log levels, each next level includes previous ones.
+// TYPESCRIPT_LOG can be set to either a name or a number.
+var LEVELS = {
+  none: 0,
+  error: 1,
+  debug: 2,
+  profile: 3,
+  assert: 4
+};
+
+function parseLevel(level) {
+  if (_.has(LEVELS, level)) {
+    return LEVELS[level];
+  }
+  return parseInt(level, 10) || LEVELS.none;
+}
 
 function Logger() {
   this.prefix = "[meteor-typescript]: ";
-  this.llevel = process.env.TYPESCRIPT_LOG;
+  this.llevel = parseLevel(process.env.TYPESCRIPT_LOG);
+  // Either text or json, i.e. JSON lines.
+  this.format = process.env.TYPESCRIPT_LOG_FORMAT || "text";
+  this.sinks = [new ConsoleSink()];
+
+  var logFile = process.env.TYPESCRIPT_LOG_FILE;
+  if (logFile) {
+    this.sinks.push(new FileSink(logFile));
+  }
 }
 
 var LP = Logger.prototype;
 
-LP.debug = function(format, arg) {
+LP.setLevel = function(level) {
+  this.llevel = parseLevel(level);
+};
+
+LP.setFormat = function(format) {
+  if (format !== "text" && format !== "json") {
+    throw new Error("Unknown log format: " + format + ".\n" +
+      "Valid formats are text and json.");
+  }
+  this.format = format;
+};
+
+LP.setSinks = function(sinks) {
+  this.sinks = sinks;
+};
+
+LP.addSink = function(sink) {
+  this.sinks.push(sink);
+};
+
+LP.error = function(format) {
+  if (this.isError()) {
+    this._log("error", util.format.apply(util, arguments));
+  }
+};
+
+LP.debug = function(format) {
   if (this.isDebug()) {
-    var msg = arg ? util.format(format, arg) : format;
-    console.log(this.prefix + msg);
+    this._log("debug", util.format.apply(util, arguments));
   }
 };
 
-LP.assert = function(format, arg) {
+LP.assert = function(format) {
   if (this.isAssert()) {
-    var msg = arg ? util.format(format, arg) : format;
-    console.log(this.prefix + msg);
+    this._log("assert", util.format.apply(util, arguments));
+  }
+};
+
+/**
+ * Logs a compile event, e.g. a cache miss or recompile,
+ * at the debug level. Fields are added to the JSON record
+ * or listed as name=value in the text.
+ */
+LP.event = function(name, fields) {
+  if (this.isDebug()) {
+    this._log("debug", name, _.extend({ event: name }, fields));
+  }
+};
+
+LP._log = function(level, message, fields) {
+  var record = _.extend({
+    time: new Date().toISOString(),
+    level: level,
+    message: message
+  }, fields);
+
+  var line;
+  if (this.format === "json") {
+    line = JSON.stringify(record);
+  } else {
+    line = this.prefix + message;
+    _.each(_.omit(fields, "event"), function(value, name) {
+      if (value === undefined) return;
+      line += " " + name + "=" + value;
+    });
   }
+
+  _.each(this.sinks, function(sink) {
+    sink.write(line, record);
+  });
+};
+
+LP.isError = function() {
+  return this.llevel >= LEVELS.error;
 };
 
 LP.isDebug = function() {
-  return this.llevel >= 2;
+  return this.llevel >= LEVELS.debug;
 };
 
 LP.isProfile = function() {
-  return this.llevel >= 3;
+  return this.llevel >= LEVELS.profile;
 };
 
 LP.isAssert = function() {
-  return this.llevel >= 4;
+  return this.llevel >= LEVELS.assert;
 };
 
-LP.newProfiler = function(name) {
-  var fullName = util.format("%s%s", this.prefix, name);
-  var profiler = new Profiler(fullName);
-  if (this.isProfile()) profiler.start();
+/**
+ * Creates a profiler of a span (operation), e.g. compile.
+ * Spans are logged at the profile level and, if tracing is on,
+ * recorded to be exported later as a trace or summary.
+ *
+ * @param name Name of the span.
+ * @param args Tags of the span, e.g. filePath and arch.
+ */
+LP.newProfiler = function(name, args) {
+  var profiler = new Profiler(this, name, args);
+  if (this.isProfile() || this.tracer) profiler.start();
   return profiler;
 };
 
+// Starts recording of profiled spans.
+// TYPESCRIPT_TRACE_FILE starts it right away and
+// writes a trace to that file on exit.
+LP.startTracing = function() {
+  this.tracer = new Tracer();
+};
+
+LP.stopTracing = function() {
+  var tracer = this.tracer;
+  this.tracer = null;
+  return tracer;
+};
+
+/**
+ * Returns recorded spans in the Chrome trace event format,
+ * which can be loaded in chrome://tracing.
+ */
+LP.getTrace = function() {
+  return this.tracer ? this.tracer.toJSON() : null;
+};
+
+LP.writeTrace = function(filePath) {
+  var trace = this.getTrace();
+  if (trace) {
+    fs.writeFileSync(filePath, JSON.stringify(trace));
+  }
+};
+
+// Returns a table of spans with their counts and durations.
+LP.getProfileSummary = function() {
+  return this.tracer ? this.tracer.formatSummary() : null;
+};
+
+
+/**
+ * Log sinks. Each sink has write method that takes
+ * a formatted line and the log record itself.
+ */
+// Prints to stdout or, if toStderr is set, to stderr,
+// e.g. when stdout is used for other output.
+function ConsoleSink(toStderr) {
+  this.toStderr = !! toStderr;
+}
+
+ConsoleSink.prototype.write = function(line, record) {
+  if (this.toStderr) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+};
+
+exports.ConsoleSink = ConsoleSink;
+
+// Lines are written to a file when there are that many
+// bytes buffered or after a delay in ms, and on exit.
+var FILE_SINK_BUFFER = 64 * 1024;
+var FILE_SINK_DELAY = 1000;
+
+// Appends lines to a file through one open descriptor.
+// Lines are buffered so that logging doesn't block compilation.
+function FileSink(filePath) {
+  this.filePath = filePath;
+  this._fd = null;
+  this._lines = [];
+  this._size = 0;
+  this._timer = null;
+  this._flush = this.flush.bind(this);
+  process.on("exit", this._flush);
+}
+
+var FSP = FileSink.prototype;
+
+FSP.write = function(line, record) {
+  this._lines.push(line + "\n");
+  this._size += line.length + 1;
+
+  if (this._size >= FILE_SINK_BUFFER) {
+    this.flush();
+  } else if (! this._timer) {
+    this._timer = setTimeout(this._flush, FILE_SINK_DELAY);
+    // Shouldn't keep the process running.
+    this._timer.unref();
+  }
+};
+
+FSP.flush = function() {
+  clearTimeout(this._timer);
+  this._timer = null;
+  if (! this._lines.length) return;
+
+  if (this._fd === null) {
+    this._fd = fs.openSync(this.filePath, "a");
+  }
+  fs.writeSync(this._fd, this._lines.join(""));
+  this._lines = [];
+  this._size = 0;
+};
+
+FSP.close = function() {
+  this.flush();
+  process.removeListener("exit", this._flush);
+  if (this._fd !== null) {
+    fs.closeSync(this._fd);
+    this._fd = null;
+  }
+};
+
+exports.FileSink = FileSink;
+
+// Keeps records in memory, e.g. for tests.
+function MemorySink() {
+  this.records = [];
+}
+
+MemorySink.prototype.write = function(line, record) {
+  this.records.push(record);
+};
+
+MemorySink.prototype.clear = function() {
+  this.records = [];
+};
+
+exports.MemorySink = MemorySink;
+
+
+function now() {
+  var time = process.hrtime();
+  // In microseconds.
+  return time[0] * 1e6 + time[1] / 1e3;
+}
 
-function Profiler(name) {
+function Profiler(logger, name, args) {
+  this.logger = logger;
   this.name = name;
+  this.args = args;
 }
 
 var PP = Profiler.prototype;
 
 PP.start = function() {
-  console.log('%s started', this.name);
-  console.time(util.format('%s time', this.name));
-  this._started = true;
+  if (this.logger.isProfile()) {
+    this.logger._log("profile", this.name + " started", this.args);
+  }
+  this._started = now();
 };
 
 PP.end = function() {
-  if (this._started) {
-    console.timeEnd(util.format('%s time', this.name));
+  if (! this._started) return;
+
+  var end = now();
+  if (this.logger.isProfile()) {
+    var time = ((end - this._started) / 1e3).toFixed(3);
+    this.logger._log("profile",
+      util.format("%s time: %sms", this.name, time), this.args);
   }
+
+  if (this.logger.tracer) {
+    this.logger.tracer.addSpan(this.name, this._started, end, this.args);
+  }
+};
+
+
+// Records spans, which are nested by their time.
+function Tracer() {
+  this.startTime = now();
+  this.spans = [];
+}
+
+var TP = Tracer.prototype;
+
+TP.addSpan = function(name, start, end, args) {
+  this.spans.push({
+    name: name,
+    start: start - this.startTime,
+    duration: end - start,
+    args: args
+  });
+};
+
+TP.toJSON = function() {
+  var pid = process.pid;
+  var events = _.map(this.spans, function(span) {
+    return {
+      name: span.name,
+      cat: "meteor-typescript",
+      // Complete event, i.e. with a duration.
+      ph: "X",
+      ts: span.start,
+      dur: span.duration,
+      pid: pid,
+      tid: 0,
+      args: span.args || {}
+    };
+  });
+
+  return {
+    traceEvents: events,
+    displayTimeUnit: "ms"
+  };
+};
+
+// Aggregates spans by name, sorted by total time.
+TP.getSummary = function() {
+  var groups = _.groupBy(this.spans, "name");
+  var rows = _.map(groups, function(spans, name) {
+    var durations = _.pluck(spans, "duration");
+    var total = durations.reduce(function(sum, duration) {
+      return sum + duration;
+    }, 0);
+    return {
+      name: name,
+      count: spans.length,
+      totalMs: total / 1e3,
+      avgMs: total / spans.length / 1e3,
+      maxMs: _.max(durations) / 1e3
+    };
+  });
+
+  return _.sortBy(rows, "totalMs").reverse();
+};
+
+TP.formatSummary = function() {
+  var header = ["span", "count", "total ms", "avg ms", "max ms"];
+  var rows = _.map(this.getSummary(), function(row) {
+    return [
+      row.name,
+      String(row.count),
+      row.totalMs.toFixed(3),
+      row.avgMs.toFixed(3),
+      row.maxMs.toFixed(3)
+    ];
+  });
+
+  var table = [header].concat(rows);
+  var widths = _.map(header, function(title, col) {
+    return _.max(_.map(table, function(row) {
+      return row[col].length;
+    }));
+  });
+
+  return _.map(table, function(row) {
+    return _.map(row, function(cell, col) {
+      var padding = new Array(widths[col] - cell.length + 1).join(" ");
+      // Names are aligned left, numbers right.
+      return col === 0 ? cell + padding : padding + cell;
+    }).join("  ");
+  }).join("\n");
 };
 
-exports.Logger = new Logger();
+var logger = new Logger();
+
+var traceFile = process.env.TYPESCRIPT_TRACE_FILE;
+if (traceFile) {
+  logger.startTracing();
+  process.on("exit", function() {
+    logger.writeTrace(traceFile);
+  });
+}
+
+exports.Logger = logger;
@@ -0,0 +1,515 @@
+'use strict';
+
+var path = require("path");
+var fs = require("fs");
+var url = require("url");
+var ts = require("typescript");
+var _ = require("underscore");
+
+var meteorTS = require("./index");
+var Logger = require("./logger").Logger;
+
+var TS_FILE = /\.tsx?$/;
+
+// LSP constants used by the server.
+var TextDocumentSyncKind = { Full: 1 };
+var DiagnosticSeverity = { Error: 1 };
+var ErrorCodes = {
+  ParseError: -32700,
+  MethodNotFound: -32601,
+  InternalError: -32603
+};
+
+// Maps TypeScript element kinds to LSP completion item kinds.
+var completionKinds = {
+  "method": 2,
+  "function": 3,
+  "local function": 3,
+  "constructor": 4,
+  "property": 10,
+  "getter": 10,
+  "setter": 10,
+  "var": 6,
+  "local var": 6,
+  "let": 6,
+  "const": 6,
+  "parameter": 6,
+  "class": 7,
+  "interface": 8,
+  "module": 9,
+  "enum": 13,
+  "keyword": 14,
+  "alias": 18,
+  "type": 7
+};
+
+/**
+ * Language Server Protocol server backed by TSBuild,
+ * i.e., per-arch services with the package's default options,
+ * rooted module paths and file tracking, so that editors
+ * report same diagnostics as the Meteor build does.
+ *
+ * Files in client and server folders are checked for
+ * web.browser and os respectively, other files for all archs.
+ * Queries like hover use the first arch of a file.
+ *
+ * @param options Object with:
+ *   - archs: architectures to check, ["os", "web.browser"] by default
+ *   - send: function to send a message to the client,
+ *     set by listen otherwise
+ */
+function LspServer(options) {
+  options = options || {};
+  this.archs = options.archs || ["os", "web.browser"];
+  this.send = options.send || null;
+
+  this.rootDir = null;
+  this.config = null;
+  // Texts of the documents opened in the editor by their paths.
+  this.documents = new Map();
+  this.builds = {};
+  this.shutdown = false;
+}
+
+exports.LspServer = LspServer;
+
+var LSP = LspServer.prototype;
+
+/**
+ * Reads messages from the input stream and
+ * writes responses to the output stream (stdin and stdout by default),
+ * using the LSP base protocol, i.e., JSON with Content-Length headers.
+ */
+LSP.listen = function(input, output) {
+  input = input || process.stdin;
+  output = output || process.stdout;
+
+  this.send = function(message) {
+    var body = Buffer.from(JSON.stringify(message), "utf8");
+    output.write("Content-Length: " + body.length + "\r\n\r\n");
+    output.write(body);
+  };
+
+  var buffer = Buffer.alloc(0);
+  input.on("data", function(chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+    var message;
+    while ((message = readMessage(buffer))) {
+      buffer = buffer.slice(message.length);
+      this._receive(message.body);
+    }
+  }.bind(this));
+};
+
+// Reads one message from the buffer, returns null
+// if the message hasn't been received completely.
+function readMessage(buffer) {
+  var headerEnd = buffer.indexOf("\r\n\r\n");
+  if (headerEnd === -1) return null;
+
+  var header = buffer.toString("ascii", 0, headerEnd);
+  var match = /Content-Length: (\d+)/i.exec(header);
+  var bodyStart = headerEnd + 4;
+  var length = match ? parseInt(match[1], 10) : 0;
+  if (buffer.length < bodyStart + length) return null;
+
+  return {
+    body: buffer.toString("utf8", bodyStart, bodyStart + length),
+    length: bodyStart + length
+  };
+}
+
+LSP._receive = function(body) {
+  var message;
+  try {
+    message = JSON.parse(body);
+  } catch (e) {
+    this.send({
+      jsonrpc: "2.0",
+      id: null,
+      error: { code: ErrorCodes.ParseError, message: e.message }
+    });
+    return;
+  }
+
+  var response = this.handleMessage(message);
+  if (response) {
+    this.send(response);
+  }
+};
+
+/**
+ * Handles a request or notification.
+ * Returns a response for requests and null for notifications.
+ */
+LSP.handleMessage = function(message) {
+  var isRequest = message.id !== undefined;
+  var handler = handlers[message.method];
+  if (! handler) {
+    if (! isRequest) return null;
+    return {
+      jsonrpc: "2.0",
+      id: message.id,
+      error: {
+        code: ErrorCodes.MethodNotFound,
+        message: "Unknown method: " + message.method
+      }
+    };
+  }
+
+  var result;
+  try {
+    result = handler.call(this, message.params || {});
+  } catch (error) {
+    Logger.error("lsp %s failed: %s", message.method, error.stack);
+    if (! isRequest) return null;
+    return {
+      jsonrpc: "2.0",
+      id: message.id,
+      error: { code: ErrorCodes.InternalError, message: error.message }
+    };
+  }
+
+  if (! isRequest) return null;
+  return {
+    jsonrpc: "2.0",
+    id: message.id,
+    result: result === undefined ? null : result
+  };
+};
+
+var handlers = {
+  "initialize": function(params) {
+    var rootDir = params.rootUri ? uriToPath(params.rootUri) :
+      (params.rootPath || process.cwd());
+    this.rootDir = path.resolve(rootDir);
+    // File paths are relative to the Meteor app.
+    process.chdir(this.rootDir);
+
+    var initOptions = params.initializationOptions;
+    if (initOptions && initOptions.archs) {
+      this.archs = initOptions.archs;
+    }
+
+    // Hashes of unsaved files shouldn't get to the disk cache
+    // the Meteor build uses.
+    meteorTS.setCacheStorage("memory");
+    this._loadConfig();
+
+    return {
+      capabilities: {
+        textDocumentSync: TextDocumentSyncKind.Full,
+        completionProvider: { triggerCharacters: ["."] },
+        hoverProvider: true,
+        definitionProvider: true,
+        referencesProvider: true
+      }
+    };
+  },
+
+  "initialized": function() {},
+
+  "shutdown": function() {
+    this.shutdown = true;
+    return null;
+  },
+
+  "exit": function() {
+    process.exit(this.shutdown ? 0 : 1);
+  },
+
+  "textDocument/didOpen": function(params) {
+    var doc = params.textDocument;
+    this.documents.set(this._getFilePath(doc.uri), doc.text);
+    this._loadConfig();
+    this._publishDiagnostics();
+  },
+
+  "textDocument/didChange": function(params) {
+    var changes = params.contentChanges;
+    // Full sync, the last change has the whole text.
+    var text = changes[changes.length - 1].text;
+    var filePath = this._getFilePath(params.textDocument.uri);
+    this.documents.set(filePath, text);
+    // Opened files are in the builds already.
+    if (TS_FILE.test(filePath)) {
+      _.each(this.builds, function(build) {
+        build.updateFile(filePath);
+      });
+    }
+    this._publishDiagnostics();
+  },
+
+  "textDocument/didSave": function(params) {
+    this._loadConfig();
+    this._publishDiagnostics();
+  },
+
+  "textDocument/didClose": function(params) {
+    var filePath = this._getFilePath(params.textDocument.uri);
+    this.documents.delete(filePath);
+    this._resetBuilds();
+    this._sendDiagnostics(filePath, []);
+  },
+
+  "workspace/didChangeWatchedFiles": function(params) {
+    this._loadConfig();
+    this._publishDiagnostics();
+  },
+
+  "textDocument/completion": function(params) {
+    var query = this._getQuery(params);
+    if (! query) return null;
+
+    var completions = query.build.getCompletions(query.filePath, query.pos);
+    if (! completions) return null;
+
+    return {
+      isIncomplete: false,
+      items: _.map(completions.entries, function(entry) {
+        return {
+          label: entry.name,
+          kind: completionKinds[entry.kind] || 1,
+          sortText: entry.sortText
+        };
+      })
+    };
+  },
+
+  "textDocument/hover": function(params) {
+    var query = this._getQuery(params);
+    if (! query) return null;
+
+    var info = query.build.getQuickInfo(query.filePath, query.pos);
+    if (! info) return null;
+
+    var contents = "```typescript\n" + info.text + "\n```";
+    if (info.documentation) {
+      contents += "\n" + info.documentation;
+    }
+    return {
+      contents: { kind: "markdown", value: contents },
+      range: this._getRange(query.filePath,
+        info.textSpan.start, info.textSpan.length)
+    };
+  },
+
+  "textDocument/definition": function(params) {
+    var query = this._getQuery(params);
+    if (! query) return null;
+
+    var definitions = query.build.getDefinition(query.filePath, query.pos);
+    return _.map(definitions, this._getLocation, this);
+  },
+
+  "textDocument/references": function(params) {
+    var query = this._getQuery(params);
+    if (! query) return null;
+
+    var includeDeclaration = ! params.context ||
+      params.context.includeDeclaration;
+    var symbols = query.build.findReferences(query.filePath, query.pos);
+    var references = _.flatten(_.pluck(symbols, "references"), true);
+    if (! includeDeclaration) {
+      references = _.reject(references, function(reference) {
+        return reference.isDefinition;
+      });
+    }
+    return _.map(references, this._getLocation, this);
+  }
+};
+
+// Loads root files from tsconfig.json, if any,
+// otherwise only opened files are checked with default options.
+LSP._loadConfig = function() {
+  try {
+    this.config = meteorTS.loadTsConfig(this.rootDir);
+  } catch (error) {
+    if (this.config === null) {
+      Logger.debug("lsp uses default options: %s", error.message);
+    }
+    this.config = { options: {}, filePaths: [] };
+  }
+  this._resetBuilds();
+};
+
+LSP._resetBuilds = function() {
+  this.builds = {};
+};
+
+LSP._getFilePaths = function() {
+  var docPaths = _.filter(Array.from(this.documents.keys()), function(filePath) {
+    return TS_FILE.test(filePath);
+  });
+  return _.union(this.config.filePaths, docPaths);
+};
+
+// Builds are created lazily after changes.
+// Each new build feeds files to the arch's service host,
+// which finds out changed and removed files.
+LSP._getBuild = function(arch) {
+  if (! this.builds[arch]) {
+    var options = _.extend({ arch: arch }, this.config.options);
+    options.compilerOptions = _.clone(options.compilerOptions);
+    this.builds[arch] = new meteorTS.TSBuild(
+      this._getFilePaths(), this._getFileContent.bind(this), options);
+  }
+  return this.builds[arch];
+};
+
+LSP._getFileContent = function(filePath) {
+  if (this.documents.has(filePath)) {
+    return this.documents.get(filePath);
+  }
+
+  try {
+    return fs.readFileSync(filePath, "utf8");
+  } catch (e) {
+    return null;
+  }
+};
+
+// Client and server files are compiled only for their archs in Meteor.
+LSP._getFileArchs = function(filePath) {
+  var dirs = filePath.split("/");
+  if (_.contains(dirs, "client")) {
+    return _.filter(this.archs, isWebArch);
+  }
+  if (_.contains(dirs, "server")) {
+    return _.reject(this.archs, isWebArch);
+  }
+  return this.archs;
+};
+
+function isWebArch(arch) {
+  return /^web/.test(arch);
+}
+
+LSP._getFilePath = function(uri) {
+  var fullPath = uriToPath(uri);
+  return ts.normalizeSlashes(path.relative(this.rootDir, fullPath));
+};
+
+// Finds the build and the position of a text document request.
+LSP._getQuery = function(params) {
+  var filePath = this._getFilePath(params.textDocument.uri);
+  var arch = this._getFileArchs(filePath)[0];
+  if (! arch || ! TS_FILE.test(filePath)) return null;
+
+  var text = this._getFileContent(filePath);
+  var lineStarts = ts.computeLineStarts(text);
+  var position = params.position;
+  return {
+    build: this._getBuild(arch),
+    filePath: filePath,
+    pos: ts.computePositionOfLineAndCharacter(
+      lineStarts, position.line, position.character)
+  };
+};
+
+// Converts a rooted file path of the results to the full path,
+// while other paths, e.g. of the lib files, are full already.
+LSP._getFullPath = function(filePath) {
+  var projectPath = path.join(this.rootDir, filePath);
+  if (fs.existsSync(projectPath) ||
+      this.documents.has(filePath.replace(/^\//, ""))) {
+    return projectPath;
+  }
+  return filePath;
+};
+
+LSP._getRange = function(filePath, start, length) {
+  var text = this._getFileContent(filePath.replace(/^\//, "")) ||
+    this._getFileContent(this._getFullPath(filePath)) || "";
+  var lineStarts = ts.computeLineStarts(text);
+  function toPosition(pos) {
+    var lc = ts.computeLineAndCharacterOfPosition(lineStarts, pos);
+    return { line: lc.line, character: lc.character };
+  }
+  return { start: toPosition(start), end: toPosition(start + length) };
+};
+
+LSP._getLocation = function(span) {
+  return {
+    uri: pathToUri(this._getFullPath(span.filePath)),
+    range: this._getRange(span.filePath, span.start, span.length)
+  };
+};
+
+// Publishes diagnostics of opened documents, since a change
+// of one file may affect others. Errors are merged for all archs
+// the file is built for.
+LSP._publishDiagnostics = function() {
+  this.documents.forEach(function(text, filePath) {
+    if (! TS_FILE.test(filePath)) return;
+
+    var lineStarts = ts.computeLineStarts(text);
+    var diagnostics = [];
+    _.each(this._getFileArchs(filePath), function(arch) {
+      var fileDiagnostics = this._getBuild(arch)
+        .getFileService(filePath).getDiagnostics(filePath);
+      _.each(fileDiagnostics.syntacticErrors.concat(
+          fileDiagnostics.semanticErrors), function(diagnostic) {
+        diagnostics.push(toLspDiagnostic(diagnostic, arch, lineStarts));
+      });
+    }, this);
+
+    this._sendDiagnostics(filePath, _.uniq(diagnostics, false, function(d) {
+      return JSON.stringify([d.range, d.code, d.message]);
+    }));
+  }, this);
+};
+
+function toLspDiagnostic(diagnostic, arch, lineStarts) {
+  // Diagnostics of the package have 1-based lines and columns.
+  var line = diagnostic.line - 1;
+  var character = diagnostic.column - 1;
+  var pos = ts.computePositionOfLineAndCharacter(lineStarts, line, character);
+  var end = ts.computeLineAndCharacterOfPosition(lineStarts,
+    pos + diagnostic.length);
+  return {
+    range: {
+      start: { line: line, character: character },
+      end: { line: end.line, character: end.character }
+    },
+    severity: DiagnosticSeverity.Error,
+    code: diagnostic.code,
+    source: "meteor-typescript (" + arch + ")",
+    message: diagnostic.message
+  };
+}
+
+LSP._sendDiagnostics = function(filePath, diagnostics) {
+  this.send({
+    jsonrpc: "2.0",
+    method: "textDocument/publishDiagnostics",
+    params: {
+      uri: pathToUri(path.join(this.rootDir, filePath)),
+      diagnostics: diagnostics
+    }
+  });
+};
+
+// File URI conversions, which don't use url.pathToFileURL
+// and url.fileURLToPath to keep older versions of Node supported.
+
+function pathToUri(filePath) {
+  var uriPath = ts.normalizeSlashes(path.resolve(filePath));
+  // Windows paths start with a drive letter, e.g. file:///c:/app.
+  if (uriPath.charAt(0) !== "/") {
+    uriPath = "/" + uriPath;
+  }
+  return "file://" + encodeURI(uriPath).replace(/[?#]/g, encodeURIComponent);
+}
+
+exports.pathToUri = pathToUri;
+
+function uriToPath(uri) {
+  var uriPath = decodeURIComponent(url.parse(uri).pathname);
+  if (/^\/[a-zA-Z]:/.test(uriPath)) {
+    uriPath = uriPath.slice(1);
+  }
+  return path.normalize(uriPath);
+}
+
+exports.uriToPath = uriToPath;
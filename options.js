@@ -1,14 +1,18 @@
+var path = require("path");
 var ts = require("typescript");
 var _ = require("underscore");
 
+var tsu = require("./ts-utils").ts;
+
 function presetCompilerOptions(customOptions) {
   if (! customOptions) return;
 
   var compilerOptions = customOptions;
 
-  // Declaration files are expected to
-  // be generated separately.
-  compilerOptions.declaration = false;
+  // Declaration files are not generated by default,
+  // but can be requested, in which case they are provided
+  // alongside compilation results.
+  compilerOptions.declaration = !! compilerOptions.declaration;
 
   // Overrides watching,
   // it is handled by Meteor itself.
@@ -32,6 +36,7 @@ function presetCompilerOptions(customOptions) {
 
   // This is not need as well.
   // API doesn't have paramless methods.
+  // Source map layout is set by TSBuild's sourceMapOptions.
   compilerOptions.rootDir = null;
   compilerOptions.sourceRoot = null;
 
@@ -99,3 +104,171 @@ function validateTsConfig(configJson) {
 }
 
 exports.validateTsConfig = validateTsConfig;
+
+function throwOnConfigErrors(errors) {
+  if (! errors || ! errors.length) return;
+
+  var messages = _.map(errors, function(error) {
+    return ts.flattenDiagnosticMessageText(error.messageText, "\n");
+  });
+  throw new Error(messages.join("\n"));
+}
+
+function readConfigFileOrThrow(configPath) {
+  var result = ts.readConfigFile(configPath, ts.sys.readFile);
+  if (result.error) {
+    throwOnConfigErrors([result.error]);
+  }
+  return result.config;
+}
+
+// Resolves a path from "extends" the same way TypeScript does.
+function getExtendsConfigPath(extendsPath, configDir) {
+  var configPath = ts.combinePaths(configDir, extendsPath);
+  if (! ts.sys.fileExists(configPath) &&
+      ! ts.fileExtensionIs(configPath, ".json")) {
+    configPath += ".json";
+  }
+  return ts.normalizePath(configPath);
+}
+
+// Makes a path written in a config, i.e., relative to the config's dir,
+// relative to the project's dir.
+function rebasePath(filePath, configDir, projectDir) {
+  if (! _.isString(filePath) || ts.isRootedDiskPath(filePath)) {
+    return filePath;
+  }
+  var fullPath = ts.combinePaths(configDir, filePath);
+  var relPath = path.relative(projectDir, fullPath);
+  return relPath ? ts.normalizeSlashes(relPath) : ".";
+}
+
+// File path options of a config are relative to that config,
+// hence, they need to be rebased onto the project directory.
+// Path options are those TypeScript converts to full paths.
+function rebaseCompilerOptions(compilerOptions, configDir, projectDir) {
+  var fullOptions = ts.convertCompilerOptionsFromJson(
+    compilerOptions, configDir).options;
+
+  function rebase(value, fullValue) {
+    if (! _.isString(fullValue) || ! ts.isRootedDiskPath(fullValue)) {
+      return value;
+    }
+    return rebasePath(value, configDir, projectDir);
+  }
+
+  var result = _.clone(compilerOptions);
+  _.each(result, function(value, name) {
+    var fullValue = fullOptions[name];
+    result[name] = _.isArray(value) ?
+      _.map(value, function(item, index) {
+        return rebase(item, fullValue && fullValue[index]);
+      }) : rebase(value, fullValue);
+  });
+  return result;
+}
+
+/**
+ * Resolves the "extends" chain of a config the same way TypeScript does:
+ * compiler options are merged, while "files", "include" and "exclude"
+ * are inherited unless set. Compiler options are kept in the JSON format,
+ * i.e., as they are written in tsconfig, all paths are rebased
+ * onto the project directory.
+ */
+function resolveConfig(configPath, projectDir, resolutionStack, configPaths) {
+  resolutionStack = resolutionStack || [];
+  if (_.contains(resolutionStack, configPath)) {
+    throw new Error("Circularity detected while resolving configuration: " +
+      resolutionStack.concat(configPath).join(" -> "));
+  }
+  if (configPaths) {
+    configPaths.push(configPath);
+  }
+
+  var configJson = readConfigFileOrThrow(configPath);
+  var configDir = ts.getDirectoryPath(configPath);
+  var config = {
+    compilerOptions: rebaseCompilerOptions(
+      configJson.compilerOptions || {}, configDir, projectDir)
+  };
+  _.each(["files", "include", "exclude"], function(name) {
+    if (! _.has(configJson, name)) return;
+
+    // Wrong values are reported when the config is parsed.
+    config[name] = _.isArray(configJson[name]) ?
+      _.map(configJson[name], function(filePath) {
+        return rebasePath(filePath, configDir, projectDir);
+      }) : configJson[name];
+  });
+
+  if (_.has(configJson, "extends")) {
+    if (! _.isString(configJson.extends)) {
+      throw new Error("Option 'extends' requires a value of type string");
+    }
+
+    var basePath = getExtendsConfigPath(configJson.extends, configDir);
+    var baseConfig = resolveConfig(basePath, projectDir,
+      resolutionStack.concat(configPath), configPaths);
+    config = _.defaults(config, _.omit(baseConfig, "compilerOptions"));
+    config.compilerOptions = _.extend(
+      baseConfig.compilerOptions, config.compilerOptions);
+  }
+
+  return config;
+}
+
+/**
+ * Loads tsconfig.json of a project. Resolves "extends" chains
+ * and applies "files", "include" and "exclude" to find out root files.
+ *
+ * @param configPath Path to the project's directory or its tsconfig.json.
+ * @returns Object with:
+ *   - options: options to create TSBuild with
+ *   - filePaths: paths of the root files relative to the project's dir
+ *   - exclude: exclude wildcards of the config
+ *   - excludeRegExp: regular expression of the exclude wildcards
+ *     to filter files coming from other sources, e.g. Meteor.
+ *   - configPaths: full paths of the config and configs it extends
+ */
+function loadTsConfig(configPath) {
+  configPath = ts.normalizePath(path.resolve(configPath || ""));
+  if (! ts.sys.fileExists(configPath)) {
+    configPath = ts.combinePaths(configPath, "tsconfig.json");
+  }
+
+  if (! ts.sys.fileExists(configPath)) {
+    throw new Error("Cannot find a tsconfig.json at " + configPath);
+  }
+
+  var projectDir = ts.getDirectoryPath(configPath);
+  // The resolved config has no "extends", hence, parsing
+  // validates it and applies its "files", "include" and "exclude" as is.
+  var configPaths = [];
+  var config = resolveConfig(configPath, projectDir, null, configPaths);
+  var result = ts.parseJsonConfigFileContent(
+    config, ts.sys, projectDir, null, configPath);
+  throwOnConfigErrors(result.errors);
+
+  var filePaths = _.chain(result.fileNames)
+    .map(function(fileName) {
+      return ts.normalizeSlashes(path.relative(projectDir, fileName));
+    })
+    // Skip Meteor's own local build folder.
+    .reject(function(filePath) {
+      return filePath.indexOf(".meteor/") === 0;
+    })
+    .value();
+
+  var exclude = _.map(config.exclude, ts.normalizePath);
+  return {
+    options: {
+      compilerOptions: config.compilerOptions
+    },
+    filePaths: filePaths,
+    exclude: exclude,
+    excludeRegExp: tsu.getExcludeRegExp(exclude),
+    configPaths: configPaths
+  };
+}
+
+exports.loadTsConfig = loadTsConfig;
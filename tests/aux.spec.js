@@ -1,9 +1,15 @@
 var ts = require("typescript");
 var _ = require("underscore");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
 var randomstring = require("randomstring");
 
 var meteorTS = require("../index");
 var CompileCache = require("../cache").CompileCache;
+var pruneCache = require("../cache").pruneCache;
+var pruneCacheThrottled = require("../cache").pruneCacheThrottled;
+var storages = require("../cache-storage");
 
 describe("meteor-typescript -> ", function() {
   function getOptions(options) {
@@ -19,6 +25,275 @@ describe("meteor-typescript -> ", function() {
     });
   });
 
+  describe("logging -> ", function() {
+    var Logger = meteorTS.Logger;
+    var sink, prevLevel, prevFormat, prevSinks;
+
+    beforeEach(function() {
+      prevLevel = Logger.llevel;
+      prevFormat = Logger.format;
+      prevSinks = Logger.sinks;
+
+      sink = new meteorTS.MemorySink();
+      Logger.setSinks([sink]);
+    });
+
+    afterEach(function() {
+      Logger.llevel = prevLevel;
+      Logger.format = prevFormat;
+      Logger.setSinks(prevSinks);
+    });
+
+    it("should format all arguments", function() {
+      Logger.setLevel("debug");
+      Logger.debug("%s and %s", "foo", "bar");
+
+      expect(sink.records.length).toEqual(1);
+      expect(sink.records[0].level).toEqual("debug");
+      expect(sink.records[0].message).toEqual("foo and bar");
+    });
+
+    it("should skip records above the level", function() {
+      Logger.setLevel("error");
+      Logger.debug("foo");
+      Logger.error("bar");
+
+      expect(sink.records.length).toEqual(1);
+      expect(sink.records[0].message).toEqual("bar");
+    });
+
+    it("should log compile events as JSON lines", function() {
+      var lines = [];
+      Logger.setLevel("debug");
+      Logger.setFormat("json");
+      Logger.addSink({
+        write: function(line) {
+          lines.push(line);
+        }
+      });
+
+      // Memory storage to not hit results of previous runs.
+      meteorTS.setCacheStorage(new meteorTS.MemoryStorage());
+      var build = new meteorTS.TSBuild(["foo33.ts"], function(filePath) {
+        if (filePath === "foo33.ts") return "export const foo33 = 'foo33'";
+      }, { arch: "os" });
+      build.emit("foo33.ts");
+      meteorTS.setCacheStorage();
+
+      var record = JSON.parse(_.find(lines, function(line) {
+        return line.indexOf("cache miss") !== -1;
+      }));
+      expect(record.event).toEqual("cache miss");
+      expect(record.filePath).toEqual("foo33.ts");
+      expect(record.arch).toEqual("os");
+    });
+
+    it("file sink should buffer lines until flushed", function() {
+      var filePath = path.join(createTmpDir(), "ts.log");
+      var fileSink = new meteorTS.FileSink(filePath);
+      Logger.setLevel("debug");
+      Logger.addSink(fileSink);
+
+      Logger.debug("foo");
+      Logger.debug("bar");
+      expect(fs.existsSync(filePath)).toEqual(false);
+
+      fileSink.close();
+      expect(fs.readFileSync(filePath, "utf8")).toMatch(/foo\n.*bar\n$/);
+    });
+  });
+
+  describe("profiling -> ", function() {
+    var Logger = meteorTS.Logger;
+
+    afterEach(function() {
+      Logger.stopTracing();
+    });
+
+    it("should record nested spans as a trace", function() {
+      Logger.startTracing();
+
+      var build = new meteorTS.TSBuild(["foo34.ts"], function(filePath) {
+        if (filePath === "foo34.ts") return "export const foo34 = 'foo34'";
+      }, getOptions({ arch: "os" }));
+      build.emit("foo34.ts");
+
+      var events = Logger.getTrace().traceEvents;
+      var compile = _.findWhere(events, { name: "compile" });
+      var setFiles = _.findWhere(events, { name: "set files" });
+      var deps = _.findWhere(events, { name: "get deps and refs" });
+      var saves = _.where(events, { name: "cache save" });
+
+      expect(compile.ph).toEqual("X");
+      expect(compile.args).toEqual({ filePath: "foo34.ts", arch: "os" });
+      expect(setFiles.args).toEqual({ arch: "os" });
+      expect(_.uniq(_.pluck(_.pluck(saves, "args"), "arch"))).toEqual(["os"]);
+      // Spans are nested by time.
+      expect(deps.ts >= compile.ts).toEqual(true);
+      expect(deps.ts + deps.dur <= compile.ts + compile.dur).toEqual(true);
+    });
+
+    it("should summarize spans", function() {
+      Logger.startTracing();
+
+      var build = new meteorTS.TSBuild(["foo35.ts"], function(filePath) {
+        if (filePath === "foo35.ts") return "export const foo35 = 'foo35'";
+      }, getOptions());
+      build.emit("foo35.ts");
+
+      var summary = Logger.getProfileSummary();
+      expect(summary.split("\n")[0]).toMatch(/^span\s+count\s+total ms/);
+      expect(summary).toMatch(/\ncompile\s+1\s/);
+    });
+  });
+
+  var tmpDirs = [];
+
+  function createTmpDir() {
+    var tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "ts-cache-"));
+    tmpDirs.push(tmpDir);
+    return tmpDir;
+  }
+
+  afterEach(function() {
+    _.each(tmpDirs, function(tmpDir) {
+      _.each(fs.readdirSync(tmpDir), function(filename) {
+        fs.unlinkSync(path.join(tmpDir, filename));
+      });
+      fs.rmdirSync(tmpDir);
+    });
+    tmpDirs = [];
+  });
+
+  describe("cache pruning -> ", function() {
+    var DAY_MS = 24 * 60 * 60 * 1000;
+
+    function createCacheDir(ages) {
+      var cacheDir = createTmpDir();
+      _.each(ages, function(days, name) {
+        var filename = path.join(cacheDir, name);
+        if (! /\.tmp\./.test(name)) filename += ".cache";
+        fs.writeFileSync(filename, randomstring.generate(1024));
+        var time = new Date(Date.now() - days * DAY_MS);
+        fs.utimesSync(filename, time, time);
+      });
+      return cacheDir;
+    }
+
+    it("should remove expired cache files", function() {
+      var cacheDir = createCacheDir({ a1: 40, a2: 10, a3: 1 });
+      var result = pruneCache(cacheDir, { maxAgeDays: 30 });
+
+      expect(result.removedFiles).toEqual(1);
+      expect(fs.existsSync(path.join(cacheDir, "a1.cache"))).toEqual(false);
+      expect(fs.existsSync(path.join(cacheDir, "a2.cache"))).toEqual(true);
+    });
+
+    it("should remove least recently used files to fit max size", function() {
+      var cacheDir = createCacheDir({ b1: 3, b2: 2, b3: 1, b4: 0 });
+      var result = pruneCache(cacheDir, { maxBytes: 2048 });
+
+      expect(result.removedFiles).toEqual(2);
+      expect(result.cacheBytes).toEqual(2048);
+      expect(fs.readdirSync(cacheDir).sort()).toEqual(["b3.cache", "b4.cache"]);
+    });
+
+    it("should keep recent temp files", function() {
+      var cacheDir = createCacheDir({
+        "c1.cache.tmp.1": 0,
+        "c2.cache.tmp.2": 1
+      });
+      var result = pruneCache(cacheDir, { maxBytes: 0 });
+
+      expect(result.removedFiles).toEqual(1);
+      expect(fs.readdirSync(cacheDir)).toEqual(["c1.cache.tmp.1"]);
+    });
+
+    it("should prune at most once a day", function() {
+      var cacheDir = createCacheDir({ d1: 40 });
+      expect(pruneCacheThrottled(cacheDir).removedFiles).toEqual(1);
+
+      fs.writeFileSync(path.join(cacheDir, "d2.cache"), "");
+      var time = new Date(Date.now() - 40 * DAY_MS);
+      fs.utimesSync(path.join(cacheDir, "d2.cache"), time, time);
+      expect(pruneCacheThrottled(cacheDir)).toBeNull();
+      expect(fs.existsSync(path.join(cacheDir, "d2.cache"))).toEqual(true);
+    });
+  });
+
+  describe("cache storages -> ", function() {
+    var value = { code: "var foo = 'foo'", version: "1" };
+    var key = "abcdef0123456789";
+
+    _.each(["memory", "fs", "tarball"], function(name) {
+      it(name + " storage should save and read values", function(done) {
+        var cacheDir = createTmpDir();
+        var storage = storages.createStorage(name, cacheDir);
+
+        storage.set(key, value, function(bytesWritten) {
+          expect(storage.has(key)).toEqual(true);
+          expect(storage.get(key)).toEqual(value);
+          expect(storage.list()).toEqual([key]);
+
+          storage.delete(key);
+          expect(storage.has(key)).toEqual(false);
+          expect(storage.get(key)).toBeNull();
+          done();
+        });
+      });
+    });
+
+    it("memory storage should evict least recently used values", function() {
+      process.env.TYPESCRIPT_MEMORY_STORAGE_SIZE = 3000;
+      var storage = new storages.MemoryStorage();
+      delete process.env.TYPESCRIPT_MEMORY_STORAGE_SIZE;
+
+      // Each value is about 2KB.
+      storage.set("a1", randomstring.generate(1024));
+      storage.set("a2", randomstring.generate(1024));
+
+      expect(storage.has("a1")).toEqual(false);
+      expect(storage.list()).toEqual(["a2"]);
+    });
+
+    it("cache dir should keep storage set in the env", function() {
+      var cacheDir = path.join(createTmpDir(), "cache");
+      process.env.TYPESCRIPT_CACHE_STORAGE = "memory";
+      meteorTS.setCacheDir(cacheDir);
+      delete process.env.TYPESCRIPT_CACHE_STORAGE;
+
+      expect(fs.existsSync(cacheDir)).toEqual(false);
+
+      meteorTS.setCacheStorage();
+    });
+
+    it("should throw on unknown storage", function() {
+      var test = function() {
+        storages.createStorage("wrong");
+      };
+
+      expect(test).toThrow();
+    });
+
+    it("compile cache should use given storage", function() {
+      var storage = new storages.MemoryStorage();
+      var cache = new CompileCache(storage, {
+        get: function(filePath) {
+          return "foo";
+        }
+      });
+
+      cache.save("foo.ts", {}, value);
+      expect(storage.list().length).toEqual(1);
+
+      var result = new CompileCache(storage, cache.sourceHost)
+        .get("foo.ts", {}, function() {
+          return null;
+        });
+      expect(result).toEqual(value);
+    });
+  });
+
   describe("cache profiling -> ", function() {
     var files = {};
     _.times(10, function() {
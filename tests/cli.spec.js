@@ -0,0 +1,116 @@
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+
+var cli = require("../cli");
+
+describe("meteor-typescript -> ", function() {
+  function createIO() {
+    return {
+      logs: [],
+      errors: [],
+      log: function(line) { this.logs.push(line); },
+      error: function(line) { this.errors.push(line); }
+    };
+  }
+
+  function runCLI(argv, io) {
+    // Use the same cache dir as other tests.
+    return cli.run(argv.concat("--cache-dir", ".cache"), io);
+  }
+
+  describe("testing cli -> ", function() {
+    it("should parse command line arguments", function() {
+      var args = cli.parseArgs(["build", "app",
+        "--arch", "os", "--arch", "web.browser", "--out-dir", "dist"]);
+
+      expect(args.command).toEqual("build");
+      expect(args.project).toEqual("app");
+      expect(args.arch).toEqual(["os", "web.browser"]);
+      expect(args["out-dir"]).toEqual("dist");
+    });
+
+    it("should fail on unknown options", function() {
+      var io = createIO();
+      var code = runCLI(["build", "--wrong"], io);
+
+      expect(code).toEqual(2);
+      expect(io.errors[0]).toContain("Unknown option: --wrong");
+    });
+
+    it("should build a project to an output dir", function() {
+      var outDir = fs.mkdtempSync(path.join(os.tmpdir(), "ts-build-"));
+      var io = createIO();
+      var cwd = process.cwd();
+      var code = runCLI(["build", "project", "--arch", "os",
+        "--out-dir", outDir], io);
+
+      expect(code).toEqual(0);
+      expect(process.cwd()).toEqual(cwd);
+      expect(io.logs).toEqual([]);
+
+      var mainPath = path.join(outDir, "client", "main.js");
+      var main = fs.readFileSync(mainPath, "utf8");
+      expect(main).toMatch(/require\(('|")\/imports\/foo('|")\)/);
+      expect(main).toContain("sourceMappingURL=main.js.map");
+
+      var sourceMap = JSON.parse(fs.readFileSync(mainPath + ".map", "utf8"));
+      expect(sourceMap.sources).toEqual(["client/main.ts"]);
+
+      expect(fs.existsSync(path.join(outDir, "imports", "foo.js"))).toEqual(true);
+    });
+
+    it("should type-check a project for each arch", function() {
+      var projectDir = fs.mkdtempSync(path.join(os.tmpdir(), "ts-check-"));
+      fs.writeFileSync(path.join(projectDir, "tsconfig.json"), "{}");
+      fs.writeFileSync(path.join(projectDir, "main.ts"),
+        "export const title = document.title;");
+
+      var io1 = createIO();
+      var code1 = runCLI(["check", projectDir, "--arch", "web.browser"], io1);
+      expect(code1).toEqual(0);
+      expect(io1.logs).toEqual([]);
+
+      var io2 = createIO();
+      var code2 = runCLI(["check", projectDir,
+        "--arch", "os", "--arch", "web.browser"], io2);
+      expect(code2).toEqual(1);
+      expect(io2.logs).toEqual([
+        "main.ts(1,22): error TS2304: Cannot find name 'document'."
+      ]);
+    });
+
+    it("should format files or check their format", function() {
+      var projectDir = fs.mkdtempSync(path.join(os.tmpdir(), "ts-format-"));
+      var mainPath = path.join(projectDir, "main.ts");
+      fs.writeFileSync(path.join(projectDir, "tsconfig.json"), "{}");
+      fs.writeFileSync(mainPath, "export const  main=1;");
+
+      var io1 = createIO();
+      expect(runCLI(["format", projectDir, "--check"], io1)).toEqual(1);
+      expect(io1.logs).toEqual(["main.ts"]);
+      expect(fs.readFileSync(mainPath, "utf8")).toEqual("export const  main=1;");
+
+      var io2 = createIO();
+      expect(runCLI(["format", projectDir], io2)).toEqual(0);
+      expect(fs.readFileSync(mainPath, "utf8")).toEqual("export const main = 1;");
+
+      var io3 = createIO();
+      expect(runCLI(["format", projectDir, "--check"], io3)).toEqual(0);
+      expect(io3.logs).toEqual([]);
+    });
+
+    it("should print diagnostics in compiler format", function() {
+      var line = cli.formatDiagnostic({
+        code: 2304,
+        fileName: "client/main.ts",
+        message: "Cannot find name 'foo'.",
+        line: 1,
+        column: 7
+      });
+
+      expect(line).toEqual(
+        "client/main.ts(1,7): error TS2304: Cannot find name 'foo'.");
+    });
+  });
+});
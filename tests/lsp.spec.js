@@ -0,0 +1,135 @@
+var path = require("path");
+var _ = require("underscore");
+
+var meteorTS = require("../index");
+var lspServer = require("../lsp-server");
+var LspServer = lspServer.LspServer;
+
+describe("meteor-typescript -> ", function() {
+  describe("testing language server -> ", function() {
+    var cwd, server, messages;
+    var projectDir = path.resolve("project");
+    var mainUri = lspServer.pathToUri(
+      path.join(projectDir, "client", "main.ts"));
+    var mainText = "import {foo} from 'imports/foo';\n\n" +
+      "export const main: number = foo;";
+
+    function request(method, params) {
+      return server.handleMessage({
+        jsonrpc: "2.0",
+        id: 1,
+        method: method,
+        params: params
+      });
+    }
+
+    function notify(method, params) {
+      server.handleMessage({ jsonrpc: "2.0", method: method, params: params });
+    }
+
+    beforeEach(function() {
+      cwd = process.cwd();
+      messages = [];
+      server = new LspServer({
+        send: function(message) {
+          messages.push(message);
+        }
+      });
+      request("initialize", { rootUri: lspServer.pathToUri(projectDir) });
+      notify("textDocument/didOpen", {
+        textDocument: {
+          uri: mainUri,
+          languageId: "typescript",
+          version: 1,
+          text: mainText
+        }
+      });
+    });
+
+    afterEach(function() {
+      process.chdir(cwd);
+      // Initialize switched the cache to memory.
+      meteorTS.setCacheDir(path.resolve(".cache"));
+    });
+
+    it("should publish diagnostics of the file's arch", function() {
+      var published = _.last(messages);
+      expect(published.method).toEqual("textDocument/publishDiagnostics");
+      expect(published.params.uri).toEqual(mainUri);
+
+      var diagnostics = published.params.diagnostics;
+      expect(diagnostics.length).toEqual(1);
+      expect(diagnostics[0].code).toEqual(2322);
+      expect(diagnostics[0].source).toContain("web.browser");
+      expect(diagnostics[0].range).toEqual({
+        start: { line: 2, character: 13 },
+        end: { line: 2, character: 17 }
+      });
+    });
+
+    it("should republish diagnostics on changes", function() {
+      notify("textDocument/didChange", {
+        textDocument: { uri: mainUri, version: 2 },
+        contentChanges: [{ text: mainText.replace(": number", "") }]
+      });
+
+      var published = _.last(messages);
+      expect(published.params.diagnostics).toEqual([]);
+    });
+
+    it("should keep builds on changes", function() {
+      var build = server.builds["web.browser"];
+      notify("textDocument/didChange", {
+        textDocument: { uri: mainUri, version: 2 },
+        contentChanges: [{ text: mainText.replace(": number", ": string") }]
+      });
+
+      expect(server.builds["web.browser"]).toBe(build);
+      expect(_.last(messages).params.diagnostics).toEqual([]);
+    });
+
+    it("should publish ranges of whole expressions", function() {
+      notify("textDocument/didChange", {
+        textDocument: { uri: mainUri, version: 2 },
+        contentChanges: [{ text: "export const main = 1 < 'a';" }]
+      });
+
+      var diagnostics = _.last(messages).params.diagnostics;
+      expect(diagnostics.length).toEqual(1);
+      expect(diagnostics[0].range).toEqual({
+        start: { line: 0, character: 20 },
+        end: { line: 0, character: 27 }
+      });
+    });
+
+    it("should provide hover and definition with file uris", function() {
+      var position = { line: 2, character: 29 };
+      var hover = request("textDocument/hover", {
+        textDocument: { uri: mainUri },
+        position: position
+      }).result;
+      expect(hover.contents.value).toContain("foo");
+
+      var definitions = request("textDocument/definition", {
+        textDocument: { uri: mainUri },
+        position: position
+      }).result;
+      expect(definitions.length).toEqual(1);
+      expect(definitions[0].uri).toEqual(lspServer.pathToUri(
+        path.join(projectDir, "imports", "foo.ts")));
+      expect(definitions[0].range.start).toEqual({ line: 0, character: 13 });
+    });
+
+    it("should convert paths to file uris and back", function() {
+      expect(lspServer.pathToUri("/app/my dir/a#1.ts"))
+        .toEqual("file:///app/my%20dir/a%231.ts");
+      expect(lspServer.uriToPath("file:///app/my%20dir/a%231.ts"))
+        .toEqual("/app/my dir/a#1.ts");
+    });
+
+    it("should reply with an error to unknown requests", function() {
+      var response = request("textDocument/unknown", {});
+      expect(response.error.code).toEqual(-32601);
+    });
+  });
+});
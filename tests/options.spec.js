@@ -1,3 +1,4 @@
+var path = require("path");
 var ts = require("typescript");
 
 var meteorTS = require("../index");
@@ -96,6 +97,52 @@ describe("meteor-typescript -> ", function() {
       expect(test).toThrow();
     });
 
+    it("should load tsconfig resolving extends", function() {
+      var config = meteorTS.loadTsConfig("tsconfig");
+
+      expect(config.options.compilerOptions).toEqual({
+        target: "es2015",
+        baseUrl: ".",
+        noImplicitAny: false
+      });
+      expect(config.filePaths).toEqual(["client/main.ts"]);
+      expect(config.exclude).toEqual(["server"]);
+      expect(new RegExp(config.excludeRegExp).test("/server/main.ts")).toEqual(true);
+      expect(config.configPaths).toEqual([
+        ts.normalizePath(path.resolve("tsconfig/tsconfig.json")),
+        ts.normalizePath(path.resolve("tsconfig/configs/base.json"))
+      ]);
+    });
+
+    it("loaded tsconfig options should be valid build options", function() {
+      var config = meteorTS.loadTsConfig("tsconfig/tsconfig.json");
+      var options = getOptions(config.options);
+      var result = meteorTS.compile(testCodeLine, options);
+
+      // Target ES6 from the config imposes strict mode.
+      expect(result.code).toContain("use strict");
+    });
+
+    it("should throw on wrong tsconfig", function() {
+      var test = function() {
+        meteorTS.loadTsConfig("tsconfig/broken");
+      };
+
+      expect(test).toThrow();
+    });
+
+    it("should throw on circular extends", function() {
+      var test = function() {
+        meteorTS.loadTsConfig("tsconfig/circular");
+      };
+
+      var configPath = path.resolve("tsconfig/circular/tsconfig.json");
+      var basePath = path.resolve("tsconfig/circular/base.json");
+      expect(test).toThrow(new Error(
+        "Circularity detected while resolving configuration: " +
+        [configPath, basePath, configPath].join(" -> ")));
+    });
+
     it("should have isExternal to be true if ES6 modules are used and " +
         "false in case of internal modules", function() {
       var result = meteorTS.compile(testCodeLine, getOptions());
@@ -140,6 +187,23 @@ describe("meteor-typescript -> ", function() {
       expect(result.code).toContain("use strict");
     });
 
+    it("should not emit declaration by default", function() {
+      var result = meteorTS.compile(testCodeLine, getOptions());
+      expect(result.declaration).toBeUndefined();
+    });
+
+    it("should emit declaration if requested", function() {
+      var result = meteorTS.compile(testCodeLine, getOptions({
+        compilerOptions: {
+          declaration: true
+        }
+      }));
+
+      expect(result.code).toContain("exports.foo");
+      expect(result.declaration).toContain("export declare const foo");
+      expect(result.sourceMap).toBeDefined();
+    });
+
     it("should resolve NodeJS-way by default", function() {
       var testCodeLine = "import {FakeApi} from 'lib/fake'";
       var result = meteorTS.compile(testCodeLine, getOptions());
@@ -0,0 +1,3 @@
+import {foo} from 'imports/foo';
+
+export const main = foo;
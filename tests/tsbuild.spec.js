@@ -1,8 +1,15 @@
 var ts = require("typescript");
 var fs = require("fs");
+var _ = require("underscore");
 
 var meteorTS = require("../index");
 var TSBuild = require("../index").TSBuild;
+var CompileService = require("../compile-service").CompileService;
+var ServiceHost = require("../compile-service-host").CompileServiceHost;
+var FileHashCache = require("../cache").FileHashCache;
+var sourceHost = require("../files-source-host").sourceHost;
+var tsu = require("../ts-utils").ts;
+var mkdirp = require("../utils").mkdirp;
 
 describe("meteor-typescript -> ", function() {
   function getOptions(options) {
@@ -22,6 +29,19 @@ describe("meteor-typescript -> ", function() {
       expect(result.code).toContain("exports.foo");
     });
 
+    it("should emit line breaks of the newLine option or LF", function() {
+      var codeLines = "export const foo = 1;\nexport const bar = 2;";
+      function emit(compilerOptions) {
+        var build = new TSBuild(["foo68.ts"], function(filePath) {
+          if (filePath === "foo68.ts") return codeLines;
+        }, getOptions({ compilerOptions: compilerOptions }));
+        return build.emit("foo68.ts").code;
+      }
+
+      expect(emit({})).not.toContain("\r\n");
+      expect(emit({ newLine: "crlf" })).toContain("exports.foo = 1;\r\n");
+    });
+
     it("meteor compiler options preset applied", function() {
       var build = new TSBuild(["foo.ts"], function(filePath) {
         if (filePath === "foo.ts") return testCodeLine;
@@ -263,6 +283,76 @@ describe("meteor-typescript -> ", function() {
       var result = build.emit("foo12.ts");
       expect(result.diagnostics.semanticErrors.length).toEqual(0);
       expect(result.code).toMatch(/require\(('|")\/imports\/foo13('|")\)/);
+      expect(result.dependencies.mappings).toContain(jasmine.objectContaining({
+        modulePath: "foo/foo13",
+        rootedPath: "/imports/foo13",
+        aliased: true
+      }));
+    });
+
+    it("aliased paths should be replaced with rooted paths everywhere", function() {
+      var foo26 = "import {foo} from '@app/foo27'; import './foo27';" +
+                  "export {foo as foo1} from '@app/foo27';";
+      var foo27 = testCodeLine;
+
+      var options = meteorTS.getDefaultOptions();
+      options.compilerOptions.baseUrl = ".";
+      options.compilerOptions.paths = {
+        "@app/*": ["imports/*"]
+      };
+      var build = new TSBuild(["imports/foo26.ts", "imports/foo27.ts"], function(filePath) {
+        if (filePath === "imports/foo26.ts") return foo26;
+        if (filePath === "imports/foo27.ts") return foo27;
+      }, getOptions(options));
+
+      var result = build.emit("imports/foo26.ts");
+      expect(result.diagnostics.semanticErrors.length).toEqual(0);
+      expect(result.code).not.toContain("@app");
+      expect(result.code).toMatch(/require\(('|")\.\/foo27('|")\)/);
+
+      var mappings = result.dependencies.mappings;
+      expect(mappings).toContain(jasmine.objectContaining({
+        modulePath: "./foo27",
+        rootedPath: null,
+        aliased: false
+      }));
+      expect(mappings).toContain(jasmine.objectContaining({
+        modulePath: "@app/foo27",
+        rootedPath: "/imports/foo27",
+        aliased: true
+      }));
+    });
+
+    it("aliases to node modules should be replaced with rooted paths", function() {
+      var libDir = "node_modules/alias-lib";
+      var foo61 = "import {lib} from '@lib/index'; const foo61 = lib;";
+
+      mkdirp(libDir);
+      fs.writeFileSync(libDir + "/index.d.ts", "export declare const lib: string;");
+      try {
+        var options = meteorTS.getDefaultOptions();
+        options.compilerOptions.baseUrl = ".";
+        options.compilerOptions.paths = {
+          "@lib/*": ["node_modules/alias-lib/*"]
+        };
+        var build = new TSBuild(["foo61.ts"], function(filePath) {
+          if (filePath === "foo61.ts") return foo61;
+        }, getOptions(options));
+
+        var result = build.emit("foo61.ts");
+        expect(result.diagnostics.semanticErrors.length).toEqual(0);
+        expect(result.code).not.toContain("@lib");
+        expect(result.code).toMatch(
+          /require\(('|")\/node_modules\/alias-lib\/index('|")\)/);
+        expect(result.dependencies.mappings).toContain(jasmine.objectContaining({
+          modulePath: "@lib/index",
+          rootedPath: "/node_modules/alias-lib/index",
+          aliased: true
+        }));
+      } finally {
+        fs.unlinkSync(libDir + "/index.d.ts");
+        fs.rmdirSync(libDir);
+      }
     });
 
     it("paths replacement should not affect other code", function() {
@@ -284,5 +374,671 @@ describe("meteor-typescript -> ", function() {
       expect(result.code).toMatch(/require\(('|")\/imports\/foo14('|")\)/);
       expect(result.code).toContain("foo14 = foo");
     });
+
+    function replaceLiteral(from, to) {
+      var transformer = function(context) {
+        function visit(node) {
+          if (node.kind === ts.SyntaxKind.StringLiteral && node.text === from) {
+            return ts.createLiteral(to);
+          }
+          return ts.visitEachChild(node, visit, context);
+        }
+        return function(sourceFile) {
+          return ts.visitNode(sourceFile, visit);
+        };
+      };
+      transformer.cacheKey = "replace " + from + " with " + to;
+      return transformer;
+    }
+
+    it("should apply custom transformers", function() {
+      var build = new TSBuild(["foo21.ts"], function(filePath) {
+        if (filePath === "foo21.ts") return testCodeLine;
+      }, getOptions({
+        transformers: {
+          before: [replaceLiteral("foo", "bar")]
+        }
+      }));
+
+      var result = build.emit("foo21.ts");
+      expect(result.code).toMatch(/exports.foo = ('|")bar('|")/);
+    });
+
+    it("should re-compile when transformers change", function() {
+      var getFileContent = function(filePath) {
+        if (filePath === "foo22.ts") return testCodeLine;
+      };
+
+      var build1 = new TSBuild(["foo22.ts"], getFileContent, {
+        transformers: {
+          before: [replaceLiteral("foo", "bar")]
+        }
+      });
+      var result1 = build1.emit("foo22.ts");
+      expect(result1.code).toMatch(/('|")bar('|")/);
+
+      var build2 = new TSBuild(["foo22.ts"], getFileContent, {
+        transformers: {
+          before: [replaceLiteral("foo", "baz")]
+        }
+      });
+      var result2 = build2.emit("foo22.ts");
+      expect(result2.code).toMatch(/('|")baz('|")/);
+    });
+
+    it("should skip the cache for transformers without keys", function() {
+      var getFileContent = function(filePath) {
+        if (filePath === "foo60.ts") return testCodeLine;
+      };
+      function createBuild(to) {
+        var transformer = replaceLiteral("foo", to);
+        delete transformer.cacheKey;
+        return new TSBuild(["foo60.ts"], getFileContent, {
+          transformers: { before: [transformer] }
+        });
+      }
+
+      expect(createBuild("bar").emit("foo60.ts").code).toMatch(/('|")bar('|")/);
+      expect(createBuild("baz").emit("foo60.ts").code).toMatch(/('|")baz('|")/);
+    });
+
+    it("should throw on wrong transformers", function() {
+      var test = function() {
+        new TSBuild(["foo23.ts"], function() {}, {
+          transformers: {
+            before: ["foo"]
+          }
+        });
+      };
+
+      expect(test).toThrow();
+    });
+
+    it("paths in ES6 imports and re-exports should be replaced", function() {
+      var foo24 = "import {foo} from 'foo/foo25'; export * from 'foo/foo25'; " +
+                  "const foo24 = foo + \"require('foo/foo25')\";";
+      var foo25 = testCodeLine;
+
+      var options = meteorTS.getDefaultOptions();
+      options.compilerOptions.module = "es2015";
+      options.compilerOptions.baseUrl = ".";
+      options.compilerOptions.paths = {
+        "foo/*": ["imports/*"]
+      };
+      var build = new TSBuild(["foo24.ts", "imports/foo25.ts"], function(filePath) {
+        if (filePath === "foo24.ts") return foo24;
+        if (filePath === "imports/foo25.ts") return foo25;
+      }, getOptions(options));
+
+      var result = build.emit("foo24.ts");
+      expect(result.diagnostics.semanticErrors.length).toEqual(0);
+      expect(result.code).toMatch(/import \{ foo \} from ('|")\/imports\/foo25('|")/);
+      expect(result.code).toMatch(/export \* from ('|")\/imports\/foo25('|")/);
+      // String literals should stay intact.
+      expect(result.code).toContain("require('foo/foo25')");
+    });
+
+    it("should find files affected by changes", function() {
+      var foo28 = testCodeLine;
+      var foo29 = "export * from './foo28'";
+      var foo30 = "import {foo} from './foo29'; const foo30 = foo;";
+      var foo31 = "/// <reference path='../foo28.ts' /> \n const foo31 = 1;";
+
+      var filePaths = ["foo28.ts", "foo29.ts", "foo30.ts", "client/foo31.ts"];
+      var build = new TSBuild(filePaths, function(filePath) {
+        if (filePath === "foo28.ts") return foo28;
+        if (filePath === "foo29.ts") return foo29;
+        if (filePath === "foo30.ts") return foo30;
+        if (filePath === "client/foo31.ts") return foo31;
+      }, getOptions());
+      filePaths.forEach(function(filePath) {
+        build.emit(filePath);
+      });
+
+      var affected = build.getAffectedFiles(["foo28.ts"]);
+      expect(affected.sort()).toEqual(filePaths.sort());
+
+      affected = build.getAffectedFiles(["foo30.ts"]);
+      expect(affected).toEqual(["foo30.ts"]);
+    });
+
+    it("should count cache hits and misses", function() {
+      // Memory storage to not hit results of previous runs.
+      meteorTS.setCacheStorage(new meteorTS.MemoryStorage());
+
+      var build = new TSBuild(["foo32.ts"], function(filePath) {
+        if (filePath === "foo32.ts") return "export const foo32 = 'foo32'";
+      });
+      build.emit("foo32.ts");
+      build.emit("foo32.ts");
+
+      var stats = meteorTS.getCacheStats();
+      expect(stats.misses).toEqual(1);
+      expect(stats.memoryHits).toEqual(1);
+      expect(stats.recompiles).toEqual(0);
+
+      meteorTS.resetCacheStats();
+      expect(meteorTS.getCacheStats().memoryHits).toEqual(0);
+
+      meteorTS.setCacheStorage();
+    });
+
+    it("services of different archs should share parsed files", function() {
+      var storage = new meteorTS.MemoryStorage();
+      var registry = ts.createDocumentRegistry(true, "");
+
+      function createService(arch) {
+        var serviceHost = new ServiceHost(new FileHashCache(storage));
+        serviceHost.setFiles(["foo36.ts"], {
+          arch: arch,
+          compilerOptions: meteorTS.validateAndConvertOptions(
+            meteorTS.getDefaultOptions(arch)).compilerOptions
+        });
+        return new CompileService(serviceHost, registry);
+      }
+
+      sourceHost.setSource(function(filePath) {
+        if (filePath === "foo36.ts") return testCodeLine;
+      });
+      var service1 = createService("os");
+      var service2 = createService("web.browser");
+
+      expect(service1.getDocRegistry()).toBe(registry);
+      expect(service1.getSourceFile("foo36.ts"))
+        .toBe(service2.getSourceFile("foo36.ts"));
+    });
+
+    it("archs should not share files of different contents", function() {
+      // New services with hashes of files not saved by previous runs.
+      meteorTS.setCacheStorage(new meteorTS.MemoryStorage());
+      TSBuild.resetServices();
+
+      var build1 = new TSBuild(["foo57.ts"], function(filePath) {
+        if (filePath === "foo57.ts") return "export const foo = 'v1'";
+      }, getOptions({ arch: "web.browser" }));
+      var result1 = build1.emit("foo57.ts");
+
+      // Both hosts have version 1 of the file.
+      var build2 = new TSBuild(["foo57.ts"], function(filePath) {
+        if (filePath === "foo57.ts") return "export const foo = 'v2'";
+      }, getOptions({ arch: "web.cordova" }));
+      var result2 = build2.emit("foo57.ts");
+
+      expect(result1.version).toEqual("1");
+      expect(result2.version).toEqual("1");
+      expect(result1.code).toContain("'v1'");
+      expect(result2.code).toContain("'v2'");
+
+      meteorTS.setCacheStorage();
+      TSBuild.resetServices();
+    });
+
+    it("module name should not leak to other archs", function() {
+      var getFileContent = function(filePath) {
+        if (filePath === "foo58.ts") return testCodeLine;
+      };
+      var build1 = new TSBuild(["foo58.ts"], getFileContent,
+        getOptions({ arch: "web.browser", compilerOptions: { module: "amd" } }));
+      var build2 = new TSBuild(["foo58.ts"], getFileContent,
+        getOptions({ arch: "web.cordova", compilerOptions: { module: "amd" } }));
+
+      expect(build1.emit("foo58.ts", "foo58").code).toContain("define(\"foo58\"");
+      expect(build2.emit("foo58.ts").code).not.toContain("define(\"foo58\"");
+    });
+
+    it("should restore files after service is disposed", function() {
+      var build = new TSBuild(["foo37.ts"], function(filePath) {
+        if (filePath === "foo37.ts") return testCodeLine;
+      }, getOptions({ arch: "os" }));
+      var result1 = build.emit("foo37.ts");
+
+      TSBuild.dispose("os");
+
+      var result2 = build.emit("foo37.ts");
+      expect(result2.code).toEqual(result1.code);
+
+      TSBuild.resetServices();
+
+      var diagnostics = build.getDiagnostics();
+      expect(diagnostics.files["foo37.ts"].hasErrors()).toEqual(false);
+    });
+
+    it("should dispose idle services when memory budget exceeded", function() {
+      var getFileContent = function(filePath) {
+        if (filePath === "foo38.ts") return testCodeLine;
+      };
+      TSBuild.resetServices();
+      var build1 = new TSBuild(["foo38.ts"], getFileContent,
+        getOptions({ arch: "web.browser" }));
+      var service1 = build1.getCompileService();
+
+      TSBuild.setMemoryBudget(1, 0);
+      var build2 = new TSBuild(["foo38.ts"], getFileContent,
+        getOptions({ arch: "web.cordova" }));
+      TSBuild.setMemoryBudget(null);
+
+      expect(build1.getCompileService()).not.toBe(service1);
+      expect(build1.emit("foo38.ts").code).toContain("exports.foo");
+    });
+
+    it("should keep services of archs built recently", function() {
+      var getFileContent = function(filePath) {
+        if (filePath === "foo62.ts") return testCodeLine;
+      };
+      var archs = ["web.browser", "web.browser.legacy", "os"];
+      TSBuild.resetServices();
+      var services = archs.map(function(arch) {
+        return new TSBuild(["foo62.ts"], getFileContent,
+          getOptions({ arch: arch })).getCompileService();
+      });
+
+      // Next build cycle over the budget.
+      TSBuild.setMemoryBudget(1);
+      var newServices = archs.map(function(arch) {
+        return new TSBuild(["foo62.ts"], getFileContent,
+          getOptions({ arch: arch })).getCompileService();
+      });
+      TSBuild.setMemoryBudget(null);
+
+      newServices.forEach(function(service, i) {
+        expect(service).toBe(services[i]);
+      });
+    });
+
+    it("restored build should keep the source of the latest build", function() {
+      var getFileContent1 = function(filePath) {
+        if (filePath === "foo63.ts") return testCodeLine;
+      };
+      var getFileContent2 = function(filePath) {
+        if (filePath === "foo64.ts") return testCodeLine;
+      };
+      var build1 = new TSBuild(["foo63.ts"], getFileContent1,
+        getOptions({ arch: "web.browser" }));
+      TSBuild.dispose("web.browser");
+      new TSBuild(["foo64.ts"], getFileContent2, getOptions({ arch: "os" }));
+
+      build1.getCompileService();
+      expect(sourceHost.getSource()).toBe(getFileContent2);
+    });
+
+    it("compiling a single file should not remove files of the arch", function() {
+      var getFileContent = function(filePath) {
+        if (filePath === "foo65.ts") return testCodeLine;
+        if (filePath === "foo66.ts") return testCodeLine;
+      };
+      var filePaths = ["foo65.ts", "foo66.ts"];
+      var build1 = new TSBuild(filePaths, getFileContent,
+        getOptions({ arch: "os" }));
+      build1.emit("foo65.ts");
+
+      meteorTS.compile(testCodeLine, getOptions({ arch: "os" }));
+
+      var build2 = new TSBuild(filePaths, getFileContent,
+        getOptions({ arch: "os" }));
+      expect(build2.getRemovedFiles()).toEqual([]);
+      expect(build2.getCompileService()).toBe(build1.getCompileService());
+    });
+
+    it("should remove deleted files and re-evaluate dependents", function() {
+      var foo39 = testCodeLine;
+      var foo40 = "import {foo} from './foo39'; const foo40 = foo;";
+
+      var build1 = new TSBuild(["foo39.ts", "foo40.ts"], function(filePath) {
+        if (filePath === "foo39.ts") return foo39;
+        if (filePath === "foo40.ts") return foo40;
+      }, { arch: "os" });
+      var result1 = build1.emit("foo40.ts");
+      expect(result1.diagnostics.semanticErrors.length).toEqual(0);
+
+      var build2 = new TSBuild(["foo40.ts"], function(filePath) {
+        if (filePath === "foo40.ts") return foo40;
+      }, { arch: "os" });
+      expect(build2.getRemovedFiles()).toEqual(["foo39.ts"]);
+
+      var result2 = build2.emit("foo40.ts");
+      expect(result2.diagnostics.semanticErrors.length).toEqual(1);
+      expect(build2.getDiagnostics().files["foo39.ts"]).toBeUndefined();
+    });
+
+    it("should report diagnostics of all root files", function() {
+      var foo18 = "export const foo: number = 'foo';";
+      var foo19 = testCodeLine;
+
+      var build = new TSBuild(["foo18.ts", "foo19.ts"], function(filePath) {
+        if (filePath === "foo18.ts") return foo18;
+        if (filePath === "foo19.ts") return foo19;
+      }, getOptions());
+
+      var diagnostics = build.getDiagnostics();
+      expect(diagnostics.hasErrors()).toEqual(true);
+      expect(diagnostics.globalErrors.length).toEqual(0);
+      expect(diagnostics.files["foo18.ts"].semanticErrors.length).toEqual(1);
+      expect(diagnostics.files["foo19.ts"].hasErrors()).toEqual(false);
+    });
+
+    it("should report program-level diagnostics", function() {
+      var options = meteorTS.getDefaultOptions();
+      options.compilerOptions.types = ["fake-typings"];
+      var build = new TSBuild(["foo20.ts"], function(filePath) {
+        if (filePath === "foo20.ts") return testCodeLine;
+      }, getOptions(options));
+
+      var diagnostics = build.getDiagnostics();
+      expect(diagnostics.hasErrors()).toEqual(true);
+      expect(diagnostics.globalErrors.length).toEqual(1);
+      expect(diagnostics.globalErrors[0].message).toContain("fake-typings");
+      expect(diagnostics.globalErrors[0].fileName).toBeNull();
+    });
+  });
+
+  describe("testing editor features -> ", function() {
+    var foo41 = "export const foo41 = 'foo';";
+    var foo42 = "import {foo41} from './foo41';\nconst len = foo41.length;";
+
+    function createBuild(arch) {
+      return new TSBuild(["foo41.ts", "foo42.ts"], function(filePath) {
+        if (filePath === "foo41.ts") return foo41;
+        if (filePath === "foo42.ts") return foo42;
+      }, { arch: arch });
+    }
+
+    it("should get completions at position", function() {
+      var build = createBuild("os");
+      var pos = foo42.indexOf(".length") + 1;
+      var completions = build.getCompletions("foo42.ts", pos);
+
+      expect(completions.isMemberCompletion).toEqual(true);
+      expect(_.pluck(completions.entries, "name")).toContain("length");
+    });
+
+    it("should get quick info at position", function() {
+      var build = createBuild("os");
+      var info = build.getQuickInfo("foo42.ts", foo42.lastIndexOf("foo41"));
+
+      expect(info.text).toContain("foo41");
+      expect(info.textSpan.start).toEqual(foo42.lastIndexOf("foo41"));
+    });
+
+    it("should get definition with rooted paths", function() {
+      var build = createBuild("os");
+      var definitions = build.getDefinition("/foo42.ts",
+        foo42.lastIndexOf("foo41"));
+
+      expect(definitions.length).toEqual(1);
+      expect(definitions[0].filePath).toEqual("/foo41.ts");
+      expect(definitions[0].start).toEqual(foo41.indexOf("foo41"));
+      expect(definitions[0].name).toEqual("foo41");
+    });
+
+    it("should find references with rooted paths", function() {
+      var build = createBuild("os");
+      var symbols = build.findReferences("foo41.ts", foo41.indexOf("foo41"));
+
+      expect(symbols.length).toBeGreaterThan(0);
+      var filePaths = _.chain(symbols)
+        .pluck("references").flatten().pluck("filePath").uniq().value();
+      expect(filePaths.sort()).toEqual(["/foo41.ts", "/foo42.ts"]);
+    });
+
+    it("should use lib of the build's arch", function() {
+      var codeLine = "document.title";
+      var getFileContent = function(filePath) {
+        if (filePath === "foo43.ts") return codeLine;
+      };
+      var pos = codeLine.indexOf("title");
+
+      var osBuild = new TSBuild(["foo43.ts"], getFileContent, { arch: "os" });
+      expect(osBuild.getDefinition("foo43.ts", pos)).toEqual([]);
+
+      var webBuild = new TSBuild(["foo43.ts"], getFileContent,
+        { arch: "web.browser" });
+      var definitions = webBuild.getDefinition("foo43.ts", pos);
+      expect(definitions.length).toEqual(1);
+      expect(definitions[0].filePath).toContain("lib.dom.d.ts");
+    });
+
+    it("should throw on unknown file", function() {
+      var build = createBuild("os");
+      var test = function() {
+        build.getQuickInfo("foo44.ts", 0);
+      };
+
+      expect(test).toThrow();
+    });
+  });
+
+  describe("testing refactorings -> ", function() {
+    var applyEdits = tsu.applyTextEdits;
+
+    it("should get code fixes of a diagnostic", function() {
+      var foo45 = "export const foo45 = 1;";
+      var foo46 = "export const foo46 = foo45;";
+      var build = new TSBuild(["foo45.ts", "foo46.ts"], function(filePath) {
+        if (filePath === "foo45.ts") return foo45;
+        if (filePath === "foo46.ts") return foo46;
+      }, { arch: "os" });
+
+      var diagnostic = build.emit("foo46.ts").diagnostics.semanticErrors[0];
+      var fixes = build.getCodeFixes("foo46.ts", diagnostic);
+
+      // Files are kept in the registry by relative paths only.
+      var compileService = build.getCompileService();
+      var registryStats = JSON.parse(
+        compileService.getDocRegistry().reportStats());
+      var names = _.pluck(_.flatten(
+        _.pluck(registryStats, "sourceFiles")), "name");
+      expect(_.contains(names, "foo46.ts")).toEqual(true);
+      expect(_.filter(names, function(name) {
+        return /\/foo4[56]\.ts$/.test(name);
+      })).toEqual([]);
+      expect(compileService.getHost().getCurrentDirectory()).toEqual("");
+
+      expect(fixes.length).toBeGreaterThan(0);
+      expect(_.keys(fixes[0].edits)).toEqual(["/foo46.ts"]);
+      expect(applyEdits(foo46, fixes[0].edits["/foo46.ts"])).toEqual(
+        "import { foo45 } from \"./foo45\";\n\nexport const foo46 = foo45;");
+    });
+
+    it("should get rename edits across files", function() {
+      var foo47 = "export const foo47 = 1;";
+      var foo48 = "import {foo47} from './foo47';\nconst n = foo47;";
+      var build = new TSBuild(["foo47.ts", "foo48.ts"], function(filePath) {
+        if (filePath === "foo47.ts") return foo47;
+        if (filePath === "foo48.ts") return foo48;
+      }, { arch: "os" });
+
+      var edits = build.getRenameEdits("foo47.ts",
+        foo47.indexOf("foo47"), "bar47");
+
+      expect(_.keys(edits).sort()).toEqual(["/foo47.ts", "/foo48.ts"]);
+      expect(applyEdits(foo47, edits["/foo47.ts"]))
+        .toEqual("export const bar47 = 1;");
+      expect(applyEdits(foo48, edits["/foo48.ts"]))
+        .toEqual("import {bar47} from './foo47';\nconst n = bar47;");
+    });
+
+    it("should throw if symbol can't be renamed", function() {
+      var foo49 = "const n = 1;";
+      var build = new TSBuild(["foo49.ts"], function(filePath) {
+        if (filePath === "foo49.ts") return foo49;
+      }, { arch: "os" });
+
+      var test = function() {
+        build.getRenameEdits("foo49.ts", foo49.indexOf("1"), "2");
+      };
+      expect(test).toThrow();
+    });
+
+    it("should format a file", function() {
+      var foo51 = "function  foo51(a,b) {\nreturn a+b;\n}";
+      var build = new TSBuild(["foo51.ts"], function(filePath) {
+        if (filePath === "foo51.ts") return foo51;
+      }, { arch: "os" });
+
+      var result = build.format("foo51.ts");
+      expect(result.text).toEqual(
+        "function foo51(a, b) {\n  return a + b;\n}");
+      expect(applyEdits(foo51, result.edits)).toEqual(result.text);
+
+      var result4 = build.format("foo51.ts", { indentSize: 4 });
+      expect(result4.text).toContain("\n    return a + b;");
+    });
+
+    it("should sort imports by module paths", function() {
+      var foo50 = "import {b} from './b';\nimport {a} from './a';\n" +
+        "export const foo50 = a + b;";
+      var build = new TSBuild(["foo50.ts"], function(filePath) {
+        if (filePath === "foo50.ts") return foo50;
+      }, { arch: "os" });
+
+      var edits = build.organizeImports("foo50.ts");
+      expect(applyEdits(foo50, edits["/foo50.ts"])).toEqual(
+        "import {a} from './a';\nimport {b} from './b';\n" +
+        "export const foo50 = a + b;");
+    });
+
+    it("should keep side-effect imports in place", function() {
+      var foo59 = "import {d} from './d';\nimport './z-polyfill';\n" +
+        "import {c} from './c';\nimport {a} from './a';\n" +
+        "export const foo59 = a + c + d;";
+      var build = new TSBuild(["foo59.ts"], function(filePath) {
+        if (filePath === "foo59.ts") return foo59;
+      }, { arch: "os" });
+
+      var edits = build.organizeImports("foo59.ts");
+      expect(applyEdits(foo59, edits["/foo59.ts"])).toEqual(
+        "import {d} from './d';\nimport './z-polyfill';\n" +
+        "import {a} from './a';\nimport {c} from './c';\n" +
+        "export const foo59 = a + c + d;");
+    });
+  });
+
+  describe("testing source maps -> ", function() {
+    var SourceMapConsumer = require("source-map").SourceMapConsumer;
+    var SourceMapGenerator = require("source-map").SourceMapGenerator;
+
+    // Generated line of the code containing given text (1-based).
+    function getLine(code, text) {
+      return _.findIndex(code.split("\n"), function(line) {
+        return line.indexOf(text) !== -1;
+      }) + 1;
+    }
+
+    it("should chain source map of a generated input", function() {
+      var foo52 = "export const foo52 = 1;\nexport const bar52 = 2;";
+      // Input is generated from a template, where
+      // declarations are on lines 3 and 5.
+      var generator = new SourceMapGenerator({ file: "foo52.ts" });
+      generator.addMapping({
+        generated: { line: 1, column: 0 },
+        original: { line: 3, column: 0 },
+        source: "foo52.tmpl"
+      });
+      generator.addMapping({
+        generated: { line: 2, column: 0 },
+        original: { line: 5, column: 0 },
+        source: "foo52.tmpl"
+      });
+      generator.setSourceContent("foo52.tmpl", "template");
+
+      var build = new TSBuild(["foo52.ts"], function(filePath) {
+        if (filePath === "foo52.ts") {
+          return { content: foo52, sourceMap: generator.toJSON() };
+        }
+      }, { arch: "os" });
+      var result = build.emit("foo52.ts");
+
+      expect(result.sourceMap.sources).toEqual(["foo52.tmpl"]);
+      expect(result.sourceMap.sourcesContent).toEqual(["template"]);
+
+      var consumer = new SourceMapConsumer(result.sourceMap);
+      var original = consumer.originalPositionFor({
+        line: getLine(result.code, "bar52 ="),
+        column: 0
+      });
+      expect(original.source).toEqual("foo52.tmpl");
+      expect(original.line).toEqual(5);
+    });
+
+    it("should keep source map of a not generated input", function() {
+      var foo53 = "export const foo53 = 1;";
+      var build = new TSBuild(["foo53.ts"], function(filePath) {
+        if (filePath === "foo53.ts") return foo53;
+      }, { arch: "os" });
+      var result = build.emit("foo53.ts");
+
+      expect(result.sourceMap.sources).toEqual(["foo53.ts"]);
+      expect(result.sourceMap.sourcesContent).toEqual([foo53]);
+    });
+
+    it("should lay out source map by options", function() {
+      var foo54 = "export const foo54 = 1;";
+      var getFileContent = function(filePath) {
+        if (filePath === "dir/foo54.ts") return foo54;
+      };
+
+      var build1 = new TSBuild(["dir/foo54.ts"], getFileContent, { arch: "os" });
+      var result1 = build1.emit("dir/foo54.ts");
+      expect(result1.sourceMap.sources).toEqual(["dir/foo54.ts"]);
+      expect(result1.sourceMap.sourcesContent).toEqual([foo54]);
+
+      // Options are part of the cache key.
+      var build2 = new TSBuild(["dir/foo54.ts"], getFileContent, {
+        arch: "os",
+        sourceMapOptions: {
+          sourceRoot: "/app",
+          sourcesContent: false
+        }
+      });
+      var result2 = build2.emit("dir/foo54.ts");
+      expect(result2.sourceMap.sources).toEqual(["dir/foo54.ts"]);
+      expect(result2.sourceMap.sourceRoot).toEqual("/app");
+      expect(result2.sourceMap.sourcesContent).toBeUndefined();
+
+      var build3 = new TSBuild(["dir/foo54.ts"], getFileContent, {
+        arch: "os",
+        sourceMapOptions: { relativeSources: true }
+      });
+      var result3 = build3.emit("dir/foo54.ts");
+      expect(result3.sourceMap.sources).toEqual(["foo54.ts"]);
+      expect(result3.sourceMap.sourceRoot).toEqual("");
+    });
+
+    it("should not combine relative sources with source root", function() {
+      var test = function() {
+        meteorTS.validateAndConvertOptions({
+          sourceMapOptions: { sourceRoot: "/app", relativeSources: true }
+        });
+      };
+
+      expect(test).toThrow(new Error("sourceMapOptions.relativeSources " +
+        "can't be combined with sourceRoot"));
+    });
+
+    it("should inline source map as data URI", function() {
+      var foo55 = "export const foo55 = 1;";
+      var build = new TSBuild(["foo55.ts"], function(filePath) {
+        if (filePath === "foo55.ts") return foo55;
+      }, { arch: "os", sourceMapOptions: { inline: true } });
+      var result = build.emit("foo55.ts");
+
+      expect(result.sourceMap).toBeNull();
+      var match = /\/\/# sourceMappingURL=data:application\/json;charset=utf-8;base64,(.+)$/
+        .exec(result.code);
+      expect(match).not.toBeNull();
+      var sourceMap = JSON.parse(Buffer.from(match[1], "base64").toString());
+      expect(sourceMap.sources).toEqual(["foo55.ts"]);
+      expect(result.code).not.toContain("foo55.js.map");
+    });
+
+    it("should throw on wrong source map options", function() {
+      var test = function() {
+        new TSBuild(["foo56.ts"], function() {}, {
+          sourceMapOptions: { inlined: true }
+        });
+      };
+
+      expect(test).toThrow();
+    });
   });
 });
@@ -0,0 +1 @@
+export const server = 'server';
@@ -2,6 +2,7 @@ var ts = require("typescript");
 var fs = require("fs");
 
 var meteorTS = require("../index");
+var mkdirp = require("../utils").mkdirp;
 
 describe("meteor-typescript -> ", function() {
   function getOptions(options) {
@@ -63,6 +64,59 @@ describe("meteor-typescript -> ", function() {
       expect(result.diagnostics.semanticErrors.length).toEqual(1);
     });
 
+    it("should re-evaluate diagnostics when typings change on disk", function() {
+      var typingsDir = "node_modules/disk-typings";
+      var typingsPath = typingsDir + "/index.d.ts";
+      var codeLine = "import {api} from 'disk-typings'; const foo: number = api;";
+
+      mkdirp(typingsDir);
+      fs.writeFileSync(typingsPath, "export declare let api: string;");
+      try {
+        var result1 = meteorTS.compile(codeLine, { arch: "os" });
+        expect(result1.diagnostics.semanticErrors.length).toEqual(1);
+
+        // Size differs so the change is seen even with the same mtime.
+        fs.writeFileSync(typingsPath, "export declare let api: number ;");
+        var result2 = meteorTS.compile(codeLine, { arch: "os" });
+        expect(result2.diagnostics.semanticErrors.length).toEqual(0);
+      } finally {
+        fs.unlinkSync(typingsPath);
+        fs.rmdirSync(typingsDir);
+      }
+    });
+
+    it("should re-evaluate cached diagnostics when typings change before restart", function() {
+      var TSBuild = meteorTS.TSBuild;
+      var typingsDir = "node_modules/restart-typings";
+      var typingsPath = typingsDir + "/index.d.ts";
+      var codeLine = "import {api} from 'restart-typings'; const foo: number = api;";
+      var getFileContent = function(filePath) {
+        if (filePath === "foo67.ts") return codeLine;
+      };
+
+      meteorTS.setCacheStorage(new meteorTS.MemoryStorage());
+      TSBuild.resetServices();
+      mkdirp(typingsDir);
+      fs.writeFileSync(typingsPath, "export declare let api: string;");
+      try {
+        var build1 = new TSBuild(["foo67.ts"], getFileContent, { arch: "os" });
+        var result1 = build1.emit("foo67.ts");
+        expect(result1.diagnostics.semanticErrors.length).toEqual(1);
+
+        // Services are created anew as after the restart.
+        TSBuild.resetServices();
+        fs.writeFileSync(typingsPath, "export declare let api: number ;");
+        var build2 = new TSBuild(["foo67.ts"], getFileContent, { arch: "os" });
+        var result2 = build2.emit("foo67.ts");
+        expect(result2.diagnostics.semanticErrors.length).toEqual(0);
+      } finally {
+        fs.unlinkSync(typingsPath);
+        fs.rmdirSync(typingsDir);
+        meteorTS.setCacheStorage();
+        TSBuild.resetServices();
+      }
+    });
+
     it("should contain reference types module in dependencies", function() {
       var codeLine = "/// <reference types='@types/jquery' /> \n " +
                    "const jquery = $;";
@@ -0,0 +1,125 @@
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+
+var meteorTS = require("../index");
+
+describe("meteor-typescript -> ", function() {
+  describe("testing watch mode -> ", function() {
+    var projectDir, outDir, watcher;
+
+    function writeFile(filePath, content) {
+      fs.writeFileSync(path.join(projectDir, filePath), content);
+    }
+
+    function removeDir(dir) {
+      fs.readdirSync(dir).forEach(function(fileName) {
+        var filePath = path.join(dir, fileName);
+        if (fs.statSync(filePath).isDirectory()) {
+          removeDir(filePath);
+        } else {
+          fs.unlinkSync(filePath);
+        }
+      });
+      fs.rmdirSync(dir);
+    }
+
+    beforeEach(function() {
+      projectDir = fs.mkdtempSync(path.join(os.tmpdir(), "ts-watch-"));
+      outDir = fs.mkdtempSync(path.join(os.tmpdir(), "ts-watch-out-"));
+      writeFile("tsconfig.json", "{}");
+      writeFile("foo.ts", "export const foo: number = 1;");
+      writeFile("bar.ts",
+        "import {foo} from './foo'; export const bar: number = foo;");
+      writeFile("baz.ts", "export const baz = 'baz';");
+    });
+
+    afterEach(function() {
+      watcher.close();
+      removeDir(projectDir);
+      removeDir(outDir);
+    });
+
+    it("should re-emit files affected by changes", function(done) {
+      watcher = new meteorTS.Watcher({
+        project: projectDir,
+        outDir: outDir,
+        delay: 10
+      });
+
+      var rebuilds = [];
+      var diagnostics = {};
+      watcher.on("diagnostics", function(event) {
+        diagnostics[event.filePath] = event.diagnostics;
+      });
+      watcher.on("rebuild", function(event) {
+        rebuilds.push(event);
+        if (rebuilds.length === 1) {
+          writeFile("foo.ts", "export const foo: string = 'foo';");
+          return;
+        }
+
+        expect(rebuilds[0].emitted.sort()).toEqual(["bar.ts", "baz.ts", "foo.ts"]);
+        expect(event.emitted.sort()).toEqual(["bar.ts", "foo.ts"]);
+        expect(diagnostics["bar.ts"].semanticErrors.length).toEqual(1);
+
+        var foo = fs.readFileSync(path.join(outDir, "foo.js"), "utf8");
+        expect(foo).toContain("exports.foo = 'foo'");
+        done();
+      });
+
+      watcher.start();
+    });
+
+    it("should re-emit all files when an extended config changes", function(done) {
+      writeFile("tsconfig.json", JSON.stringify({ extends: "./base" }));
+      writeFile("base.json", "{}");
+      watcher = new meteorTS.Watcher({ project: projectDir, delay: 10 });
+
+      var rebuilds = [];
+      watcher.on("rebuild", function(event) {
+        rebuilds.push(event);
+        if (rebuilds.length === 1) {
+          writeFile("base.json", JSON.stringify({
+            compilerOptions: { noImplicitAny: true }
+          }));
+          return;
+        }
+
+        expect(event.emitted.sort()).toEqual(["bar.ts", "baz.ts", "foo.ts"]);
+        done();
+      });
+
+      watcher.start();
+    });
+
+    it("should watch directories created after start", function(done) {
+      watcher = new meteorTS.Watcher({ project: projectDir, delay: 10 });
+
+      var started = false;
+      watcher.on("rebuild", function(event) {
+        if (! started) {
+          started = true;
+          fs.mkdirSync(path.join(projectDir, "lib"));
+          writeFile("lib/qux.ts", "export const qux = 'qux';");
+          return;
+        }
+
+        if (event.emitted.indexOf("lib/qux.ts") !== -1) {
+          done();
+        }
+      });
+
+      watcher.start();
+    });
+
+    it("should not throw on errors without listeners", function() {
+      writeFile("tsconfig.json", "{");
+      watcher = new meteorTS.Watcher({ project: projectDir });
+
+      expect(function() {
+        watcher.start();
+      }).not.toThrow();
+    });
+  });
+});
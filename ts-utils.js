@@ -1,6 +1,8 @@
 var assert = require("assert");
+var path = require("path");
 var ts = require("typescript");
 var _ = require("underscore");
+var sourceMap = require("source-map");
 
 var assertProps = require("./utils").assertProps;
 var Logger = require("./logger").Logger;
@@ -23,6 +25,68 @@ function getRootedPath(filePath) {
   return filePath;
 }
 
+// Location of a text span in a file with the rooted path.
+function createFileSpan(fileName, textSpan) {
+  return {
+    filePath: getRootedPath(fileName),
+    start: textSpan.start,
+    length: textSpan.length
+  };
+}
+
+/**
+ * Converts TypeScript's FileTextChanges to text edits
+ * keyed by rooted file paths, i.e., { filePath: [{ start, length, newText }] }.
+ */
+function createFileEdits(fileTextChanges) {
+  var edits = {};
+  _.each(fileTextChanges, function(fileChanges) {
+    var filePath = getRootedPath(fileChanges.fileName);
+    var fileEdits = _.map(fileChanges.textChanges, function(change) {
+      return {
+        start: change.span.start,
+        length: change.span.length,
+        newText: change.newText
+      };
+    });
+    edits[filePath] = (edits[filePath] || []).concat(fileEdits);
+  });
+  return edits;
+}
+
+// Applies text edits of a file, i.e., [{ start, length, newText }].
+function applyTextEdits(text, edits) {
+  var sorted = _.sortBy(edits, "start").reverse();
+  _.each(sorted, function(edit) {
+    text = text.slice(0, edit.start) + edit.newText +
+      text.slice(edit.start + edit.length);
+  });
+  return text;
+}
+
+// Format settings used by code fixes and formatting,
+// given options override the defaults.
+function getFormatCodeSettings(formatOptions) {
+  return _.extend({
+    indentSize: 2,
+    tabSize: 2,
+    newLineCharacter: "\n",
+    convertTabsToSpaces: true,
+    indentStyle: ts.IndentStyle.Smart,
+    insertSpaceAfterCommaDelimiter: true,
+    insertSpaceAfterSemicolonInForStatements: true,
+    insertSpaceBeforeAndAfterBinaryOperators: true,
+    insertSpaceAfterKeywordsInControlFlowStatements: true,
+    insertSpaceAfterFunctionKeywordForAnonymousFunctions: false,
+    insertSpaceAfterOpeningAndBeforeClosingNonemptyParenthesis: false,
+    insertSpaceAfterOpeningAndBeforeClosingNonemptyBrackets: false,
+    insertSpaceAfterOpeningAndBeforeClosingTemplateStringBraces: false,
+    insertSpaceAfterOpeningAndBeforeClosingJsxExpressionBraces: false,
+    placeOpenBraceOnNewLineForFunctions: false,
+    placeOpenBraceOnNewLineForControlBlocks: false
+  }, formatOptions);
+}
+
 function prepareSourceMap(sourceMapContent, fileContent, sourceMapPath) {
   var sourceMapJson = JSON.parse(sourceMapContent);
   sourceMapJson.sourcesContent = [fileContent];
@@ -30,6 +94,69 @@ function prepareSourceMap(sourceMapContent, fileContent, sourceMapPath) {
   return sourceMapJson;
 }
 
+/**
+ * Chains the output source map with a map of the input,
+ * i.e., maps the output to the authored file
+ * the input has been generated from.
+ *
+ * @param outputMap Source map of the TypeScript output.
+ * @param inputMap Source map of the input (object or JSON).
+ */
+function chainSourceMaps(outputMap, inputMap) {
+  if (_.isString(inputMap)) {
+    inputMap = JSON.parse(inputMap);
+  }
+
+  var generator = sourceMap.SourceMapGenerator.fromSourceMap(
+    new sourceMap.SourceMapConsumer(outputMap));
+  generator.applySourceMap(
+    new sourceMap.SourceMapConsumer(inputMap), outputMap.sources[0]);
+
+  var result = generator.toJSON();
+  result.file = outputMap.file;
+  return result;
+}
+
+/**
+ * Changes layout of a file's source map according to
+ * sourceRoot, relativeSources and sourcesContent options.
+ * Sources are relative to the app, which sourceRoot stands for,
+ * or with relativeSources, to the emitted file's directory.
+ */
+function layoutSourceMap(sourceMap, filePath, options) {
+  var result = _.clone(sourceMap);
+  if (options.relativeSources) {
+    var fileDir = ts.getDirectoryPath(ts.normalizeSlashes(filePath));
+    result.sources = _.map(result.sources, function(source) {
+      return path.posix.relative(fileDir, source);
+    });
+  }
+
+  if (options.sourceRoot !== undefined) {
+    result.sourceRoot = options.sourceRoot;
+  }
+
+  if (options.sourcesContent === false) {
+    delete result.sourcesContent;
+  }
+
+  return result;
+}
+
+var SOURCE_MAPPING_URL = /\/\/# sourceMappingURL=.*$/m;
+
+// Replaces the source map URL of the code with a data URI.
+function inlineSourceMap(code, sourceMap) {
+  var base64 = Buffer.from(JSON.stringify(sourceMap)).toString("base64");
+  var comment = "//# sourceMappingURL=data:application/json;" +
+    "charset=utf-8;base64," + base64;
+
+  if (SOURCE_MAPPING_URL.test(code)) {
+    return code.replace(SOURCE_MAPPING_URL, comment);
+  }
+  return code + "\n" + comment;
+}
+
 /** 
  * Gets all local modules given sourceFile imports types from.
  * Supports transitivity, i.e., if some module (directly imported)
@@ -37,8 +164,6 @@ function prepareSourceMap(sourceMapContent, fileContent, sourceMapPath) {
  * will be in the output too.
  */
 function getDeps(sourceFile, checker) {
-  console.log('Sourcefile:', sourceFile)
-  console.log('####')
   var modules = [];
 
   function getModulePath(module) {
@@ -62,8 +187,6 @@ function getDeps(sourceFile, checker) {
     var paths = new Set();
     _.each(sourceFile.imports, function(importName) {
       var module = checker.getSymbolAtLocation(importName);
-      console.log('importName: ', importName)
-      console.log('!!!!!!!!!!!!')
       if (module && !isExternal(module)) {
         var path = getModulePath(module);
         if (path) {
@@ -102,12 +225,12 @@ function getDeps(sourceFile, checker) {
   return modules;
 }
 
-function getDepsAndRefs(sourceFile, typeChecker) {
+function getDepsAndRefs(sourceFile, typeChecker, compilerOptions) {
   assert.ok(typeChecker);
 
   var modules = getDeps(sourceFile, typeChecker);
   var refs = getRefs(sourceFile);
-  var mappings = getMappings(sourceFile);
+  var mappings = getMappings(sourceFile, compilerOptions);
 
   return {
     modules: modules,
@@ -117,15 +240,32 @@ function getDepsAndRefs(sourceFile, typeChecker) {
   };
 }
 
-function getMappings(sourceFile) {
+/**
+ * Gets how module paths used in a source file are resolved.
+ * Each mapping has a rootedPath, which is a path Meteor understands,
+ * if the module path needs to be replaced in the emitted code, i.e.,
+ * when it's a local module imported by a non-relative path or an alias
+ * from the compiler's "paths" option, wherever the alias resolves to.
+ */
+function getMappings(sourceFile, compilerOptions) {
   var mappings = [];
+  var paths = compilerOptions && compilerOptions.paths;
   if (sourceFile.resolvedModules) {
     var modules = sourceFile.resolvedModules;
     modules.forEach((module, modulePath) => {
+      var resolvedPath = module ? ts.removeFileExtension(module.resolvedFileName) : null;
+      var external = module ? module.isExternalLibraryImport : false;
+      var relative = modulePath.startsWith(".");
+      var aliased = isPathAlias(modulePath, paths);
+      // Aliases are unknown to Meteor, hence, always rewritten,
+      // even if they resolve to node modules.
+      var rooted = aliased || (! external && ! relative);
       mappings.push({
         modulePath,
-        resolvedPath: module ? ts.removeFileExtension(module.resolvedFileName) : null,
-        external: module ? module.isExternalLibraryImport : false,
+        resolvedPath,
+        rootedPath: (module && rooted) ? getRootedPath(resolvedPath) : null,
+        aliased,
+        external,
         resolved: !!module
       });
     });
@@ -133,13 +273,30 @@ function getMappings(sourceFile) {
   return mappings;
 }
 
+// Checks if a module path matches any pattern of the "paths" option.
+function isPathAlias(modulePath, paths) {
+  return _.some(_.keys(paths), function(pattern) {
+    var starInd = pattern.indexOf("*");
+    if (starInd === -1) {
+      return pattern === modulePath;
+    }
+
+    var prefix = pattern.substr(0, starInd);
+    var suffix = pattern.substr(starInd + 1);
+    return modulePath.length >= prefix.length + suffix.length &&
+      modulePath.startsWith(prefix) && modulePath.endsWith(suffix);
+  });
+}
+
 function getRefs(sourceFile) {
   // Collect referenced file paths, e.g.:
   // /// <reference path=".." />
   var refTypings = [], refFiles = [];
   if (sourceFile.referencedFiles) {
+    // Referenced paths are relative to the file itself.
+    var fileDir = ts.getDirectoryPath(sourceFile.fileName);
     var refPaths = sourceFile.referencedFiles.map(function(ref) {
-      return ref.fileName;
+      return ts.normalizePath(ts.combinePaths(fileDir, ref.fileName));
     });
 
     refTypings = _.filter(refPaths, function(ref) {
@@ -168,6 +325,100 @@ function getRefs(sourceFile) {
   };
 }
 
+/**
+ * Creates a custom transformer that replaces module paths
+ * with rooted paths from the mappings (see getMappings).
+ *
+ * Transformer is expected to run after TypeScript's own transformers,
+ * when imports are already converted according to the module kind, hence,
+ * it handles ES6 imports and exports, require and import() calls,
+ * and dependency lists of define and System.register.
+ */
+function createRootifyTransformer(mappings) {
+  var rootedPaths = new Map();
+  _.each(mappings, function(module) {
+    if (! module.rootedPath) return;
+
+    rootedPaths.set(module.modulePath, module.rootedPath);
+  });
+
+  function rootify(moduleName) {
+    if (! moduleName ||
+        moduleName.kind !== ts.SyntaxKind.StringLiteral) {
+      return moduleName;
+    }
+
+    var rootedPath = rootedPaths.get(moduleName.text);
+    return rootedPath ? ts.createLiteral(rootedPath) : moduleName;
+  }
+
+  return function(context) {
+    function visitCall(node) {
+      var args = node.arguments;
+      if (isModuleCall(node)) {
+        return ts.updateCall(node, node.expression, node.typeArguments,
+          [rootify(args[0])].concat(args.slice(1)));
+      }
+
+      if (isModuleDefinition(node)) {
+        args = _.map(args, function(arg) {
+          if (arg.kind !== ts.SyntaxKind.ArrayLiteralExpression) return arg;
+
+          return ts.updateArrayLiteral(arg, _.map(arg.elements, rootify));
+        });
+        return ts.updateCall(node, node.expression, node.typeArguments,
+          ts.visitNodes(ts.createNodeArray(args), visit));
+      }
+
+      return ts.visitEachChild(node, visit, context);
+    }
+
+    function visit(node) {
+      switch (node.kind) {
+        case ts.SyntaxKind.ImportDeclaration:
+          return ts.updateImportDeclaration(node, node.decorators,
+            node.modifiers, node.importClause, rootify(node.moduleSpecifier));
+        case ts.SyntaxKind.ExportDeclaration:
+          return ts.updateExportDeclaration(node, node.decorators,
+            node.modifiers, node.exportClause, rootify(node.moduleSpecifier));
+        case ts.SyntaxKind.CallExpression:
+          return visitCall(node);
+      }
+      return ts.visitEachChild(node, visit, context);
+    }
+
+    return function(sourceFile) {
+      if (! rootedPaths.size) return sourceFile;
+
+      return ts.visitNode(sourceFile, visit);
+    };
+  };
+}
+
+// Checks if it's require("...") or import("...") call.
+function isModuleCall(node) {
+  if (! node.arguments.length) return false;
+
+  var expression = node.expression;
+  return expression.kind === ts.SyntaxKind.ImportKeyword ||
+    (expression.kind === ts.SyntaxKind.Identifier &&
+     expression.text === "require");
+}
+
+// Checks if it's AMD's define or System.register call,
+// which take a list of dependency modules.
+function isModuleDefinition(node) {
+  var expression = node.expression;
+  if (expression.kind === ts.SyntaxKind.Identifier) {
+    return expression.text === "define";
+  }
+
+  return expression.kind === ts.SyntaxKind.PropertyAccessExpression &&
+    expression.expression.kind === ts.SyntaxKind.Identifier &&
+    expression.expression.text === "System" &&
+    expression.name.text === "register";
+}
+
 function createDiagnostics(tsSyntactic, tsSemantic) {
   // Parse diagnostics to leave only info we need.
   var syntactic = flattenDiagnostics(tsSyntactic);
@@ -202,16 +453,54 @@ TDP.hasUnresolvedModules = function() {
   return index !== -1;
 };
 
-function flattenDiagnostics(tsDiagnostics) {
+/**
+ * Diagnostics report of the whole program, i.e.,
+ * program-level (global) errors plus diagnostics of each root file.
+ */
+function ProjectDiagnostics(globalErrors, fileDiagnostics) {
+  assert.ok(this instanceof ProjectDiagnostics);
+  assert.ok(globalErrors);
+  assert.ok(fileDiagnostics);
+
+  this.globalErrors = globalErrors;
+  this.files = fileDiagnostics;
+}
+
+var PDP = ProjectDiagnostics.prototype;
+
+PDP.hasErrors = function() {
+  if (this.globalErrors.length) return true;
+
+  return _.some(this.files, function(diagnostics) {
+    return diagnostics.hasErrors();
+  });
+};
+
+function flattenDiagnostics(tsDiagnostics, includeGlobal) {
   var diagnostics = [];
 
   var dLen = tsDiagnostics.length;
   for (var i = 0; i < dLen; i++) {
     var diagnostic = tsDiagnostics[i];
-    if (! diagnostic.file) continue;
+    var message = ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n');
+
+    // Program-level diagnostics, e.g. errors in compiler options,
+    // don't belong to any file, hence, have no position.
+    if (! diagnostic.file) {
+      if (includeGlobal) {
+        diagnostics.push({
+          code: diagnostic.code,
+          fileName: null,
+          message: message,
+          line: null,
+          column: null,
+          length: null
+        });
+      }
+      continue;
+    }
 
     var pos = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
-    var message = ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n');
     var line = pos.line + 1;
     var column = pos.character + 1;
 
@@ -220,7 +509,8 @@ function flattenDiagnostics(tsDiagnostics) {
       fileName: diagnostic.file.fileName,
       message: message,
       line: line,
-      column: column
+      column: column,
+      length: diagnostic.length
     });
   }
 
@@ -250,15 +540,24 @@ function getExcludeRegExp(exclude) {
 
 exports.ts = {
   TsDiagnostics: TsDiagnostics,
+  ProjectDiagnostics: ProjectDiagnostics,
   normalizePath: normalizePath,
   prepareSourceMap: prepareSourceMap,
+  chainSourceMaps: chainSourceMaps,
+  layoutSourceMap: layoutSourceMap,
+  inlineSourceMap: inlineSourceMap,
   getDepsAndRefs: getDepsAndRefs,
   getRefs: getRefs,
+  createRootifyTransformer: createRootifyTransformer,
   createDiagnostics: createDiagnostics,
   hasErrors: hasErrors,
   flattenDiagnostics: flattenDiagnostics,
   isSourceMap: isSourceMap,
   isTypings: isTypings,
   getExcludeRegExp: getExcludeRegExp,
-  getRootedPath: getRootedPath
+  getRootedPath: getRootedPath,
+  createFileSpan: createFileSpan,
+  createFileEdits: createFileEdits,
+  getFormatCodeSettings: getFormatCodeSettings,
+  applyTextEdits: applyTextEdits
 };
@@ -0,0 +1,308 @@
+'use strict';
+
+var path = require("path");
+var fs = require("fs");
+var util = require("util");
+var EventEmitter = require("events").EventEmitter;
+var ts = require("typescript");
+var _ = require("underscore");
+
+var meteorTS = require("./index");
+var tsu = require("./ts-utils").ts;
+var utils = require("./utils");
+var Logger = require("./logger").Logger;
+
+var TS_FILE = /\.tsx?$/;
+
+/**
+ * Watches files of a project and re-emits files affected by changes
+ * using the same incremental services and cache as Meteor builds.
+ * File paths and rooted module paths are relative
+ * to the project's directory.
+ *
+ * @param options Object with:
+ *   - project: path to the project's dir or its tsconfig.json,
+ *     current dir by default
+ *   - archs: architectures to build, ["os"] by default
+ *   - outDir: directory to write emitted files to (optional),
+ *     each arch gets own sub-directory if there are several archs
+ *   - delay: milliseconds to collect changes before a rebuild
+ *
+ * Events:
+ *   - "diagnostics": { arch, filePath, diagnostics } of each emitted file
+ *   - "rebuild": { arch, emitted, removed } after each build of an arch
+ *   - "error": error of loading tsconfig or emitting files,
+ *     which is logged if there are no listeners
+ */
+function Watcher(options) {
+  EventEmitter.call(this);
+
+  options = options || {};
+  this.project = options.project || "";
+  this.archs = options.archs || ["os"];
+  this.outDir = options.outDir ? path.resolve(options.outDir) : null;
+  this.delay = options.delay === undefined ? 100 : options.delay;
+
+  // File contents read from disk, reset when files change.
+  this.contents = new Map();
+  this.changedPaths = new Set();
+  this.fsWatchers = new Map();
+  // Full paths of tsconfig.json and configs it extends.
+  this.configPaths = new Set();
+  this.filePaths = {};
+  this.timer = null;
+}
+
+util.inherits(Watcher, EventEmitter);
+
+exports.Watcher = Watcher;
+
+var WP = Watcher.prototype;
+
+// Builds all files and starts watching them.
+WP.start = function() {
+  this.configPath = path.resolve(this.project);
+  this.projectDir = fs.statSync(this.configPath).isDirectory() ?
+    this.configPath : path.dirname(this.configPath);
+
+  this._rebuild(null);
+  return this;
+};
+
+WP.close = function() {
+  clearTimeout(this.timer);
+  this.timer = null;
+  this.fsWatchers.forEach(function(fsWatcher) {
+    fsWatcher.close();
+  });
+  this.fsWatchers.clear();
+};
+
+WP._readFile = function(filePath) {
+  if (! this.contents.has(filePath)) {
+    var content = null;
+    try {
+      var fullPath = path.resolve(this.projectDir, filePath);
+      content = fs.readFileSync(fullPath, "utf8");
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+    }
+    this.contents.set(filePath, content);
+  }
+  return this.contents.get(filePath);
+};
+
+WP._emitError = function(error) {
+  // Errors are emitted in timers, where an unhandled
+  // "error" event would crash the process.
+  if (this.listenerCount("error")) {
+    this.emit("error", error);
+  } else {
+    Logger.error("watch failed: %s", error.stack);
+  }
+};
+
+// Watches directories of the root files and their parent directories,
+// which is cheaper than a recursive watch of the whole project,
+// along with directories of the configs.
+WP._watchDirs = function(filePaths, configPaths) {
+  var dirs = ["."];
+  _.each(filePaths, function(filePath) {
+    var dir = path.dirname(filePath);
+    for (; dir !== "."; dir = path.dirname(dir)) {
+      dirs.push(dir);
+    }
+  });
+  dirs = _.map(dirs, function(dir) {
+    return path.resolve(this.projectDir, dir);
+  }, this).concat(_.map(configPaths, path.dirname));
+
+  _.each(_.uniq(dirs), this._watchDir, this);
+};
+
+WP._watchDir = function(dir) {
+  if (this.fsWatchers.has(dir)) return;
+
+  var fsWatcher = fs.watch(dir, function(event, fileName) {
+    if (! fileName) return;
+
+    this._onChange(path.join(dir, fileName));
+  }.bind(this));
+  this.fsWatchers.set(dir, fsWatcher);
+};
+
+// Watches a directory created after the start with its sub-directories,
+// skipping node_modules and hidden ones, e.g. .meteor.
+WP._watchNewDir = function(dir) {
+  var name = path.basename(dir);
+  if (name === "node_modules" || name[0] === ".") return;
+
+  this._watchDir(dir);
+  _.each(fs.readdirSync(dir), function(fileName) {
+    var subDir = path.join(dir, fileName);
+    if (isDirectory(subDir)) {
+      this._watchNewDir(subDir);
+    }
+  }, this);
+};
+
+function isDirectory(dir) {
+  try {
+    return fs.statSync(dir).isDirectory();
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+    return false;
+  }
+}
+
+WP._onChange = function(fullPath) {
+  // Skip own output, e.g. declarations.
+  if (this.outDir && fullPath.indexOf(this.outDir) === 0) return;
+
+  var isConfig = this.configPaths.has(ts.normalizePath(fullPath));
+  var filePath = ts.normalizePath(path.relative(this.projectDir, fullPath));
+  if (! isConfig && ! TS_FILE.test(filePath)) {
+    // New directories are watched and their files are added on rebuild.
+    if (! this.fsWatchers.has(fullPath) && isDirectory(fullPath)) {
+      this._watchNewDir(fullPath);
+      this._scheduleRebuild();
+    }
+    return;
+  }
+
+  Logger.event("file changed", { filePath: filePath });
+  // Config changes affect all files.
+  if (isConfig) {
+    this.changedPaths = null;
+  } else if (this.changedPaths) {
+    this.changedPaths.add(filePath);
+  }
+  this._scheduleRebuild();
+};
+
+WP._scheduleRebuild = function() {
+  clearTimeout(this.timer);
+  this.timer = setTimeout(function() {
+    var changedPaths = this.changedPaths;
+    this.changedPaths = new Set();
+    this._rebuild(changedPaths && Array.from(changedPaths));
+  }.bind(this), this.delay);
+};
+
+/**
+ * Re-emits files affected by changes for each arch.
+ * All files are emitted on start and when tsconfig changes.
+ *
+ * @param changedPaths Paths of changed files or null.
+ */
+WP._rebuild = function(changedPaths) {
+  if (changedPaths) {
+    _.each(changedPaths, this.contents.delete, this.contents);
+  } else {
+    this.contents.clear();
+  }
+
+  var config;
+  try {
+    // Reload the config to find added and removed files.
+    config = meteorTS.loadTsConfig(this.configPath);
+  } catch (error) {
+    this._emitError(error);
+    return;
+  }
+
+  // Watch before emitting to catch changes made meanwhile.
+  this.configPaths = new Set(config.configPaths);
+  this._watchDirs(config.filePaths, config.configPaths);
+
+  _.each(this.archs, function(arch) {
+    try {
+      this._rebuildArch(arch, config, changedPaths);
+    } catch (error) {
+      this._emitError(error);
+    }
+  }, this);
+};
+
+WP._rebuildArch = function(arch, config, changedPaths) {
+  var options = _.extend({ arch: arch }, config.options);
+  options.compilerOptions = _.clone(options.compilerOptions);
+
+  var tsBuild = new meteorTS.TSBuild(
+    config.filePaths, this._readFile.bind(this), options);
+
+  var emitPaths = _.reject(config.filePaths, tsu.isTypings);
+  var removed = tsBuild.getRemovedFiles();
+  var prevPaths = this.filePaths[arch] || [];
+  this.filePaths[arch] = emitPaths;
+
+  // Typings changes may affect all files.
+  var emitted = emitPaths;
+  if (changedPaths && ! tsBuild.serviceHost.isTypingsChanged()) {
+    var affected = tsBuild.getAffectedFiles(changedPaths.concat(removed));
+    var added = _.difference(emitPaths, prevPaths);
+    emitted = _.intersection(emitPaths, _.union(affected, added));
+  }
+
+  var outDir = this._getOutDir(arch);
+  _.each(emitted, function(filePath) {
+    var result = tsBuild.emit(filePath);
+    if (outDir) {
+      writeResult(outDir, filePath, result);
+    }
+    this.emit("diagnostics", {
+      arch: arch,
+      filePath: filePath,
+      diagnostics: result.diagnostics
+    });
+  }, this);
+
+  if (outDir) {
+    _.each(removed, function(filePath) {
+      removeResult(outDir, filePath);
+    });
+  }
+
+  this.emit("rebuild", { arch: arch, emitted: emitted, removed: removed });
+};
+
+WP._getOutDir = function(arch) {
+  if (! this.outDir) return null;
+
+  return this.archs.length > 1 ?
+    path.join(this.outDir, arch) : this.outDir;
+};
+
+function writeFile(filePath, contents) {
+  utils.mkdirp(path.dirname(filePath));
+  fs.writeFileSync(filePath, contents);
+}
+
+/**
+ * Writes JS code, source map and declaration (if any)
+ * of an emitted file to the output directory.
+ */
+function writeResult(outDir, filePath, result) {
+  var outPath = path.join(outDir, ts.removeFileExtension(filePath));
+
+  writeFile(outPath + ".js", result.code);
+  if (result.sourceMap) {
+    writeFile(outPath + ".js.map", JSON.stringify(result.sourceMap));
+  }
+  if (result.declaration) {
+    writeFile(outPath + ".d.ts", result.declaration);
+  }
+}
+
+exports.writeResult = writeResult;
+
+function removeResult(outDir, filePath) {
+  var outPath = path.join(outDir, ts.removeFileExtension(filePath));
+  _.each([".js", ".js.map", ".d.ts"], function(ext) {
+    try {
+      fs.unlinkSync(outPath + ext);
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+    }
+  });
+}